@@ -0,0 +1,146 @@
+// db/migrations/encrypt-patient-fields.js
+//
+// Bring the patient fields of prescriptions, private prescription
+// questionnaires and patient profiles in line with the current key (see
+// lib/field-crypto.js): plaintext from before the encryption was enabled
+// is encrypted, values encrypted with a previous key are re-encrypted.
+// Prescriptions also get the keyed hash of the patient (patient_key, see
+// patientKey()), by which the rolling quantity limit finds the earlier
+// prescriptions of a person without decrypting them. Idempotent – runs at
+// every server start and can be run by hand with
+// scripts/encrypt-patient-data.js.
+
+const PATIENT_FIELDS = [
+  'patient_name',
+  'patient_first_name',
+  'patient_last_name',
+  'patient_address',
+  'patient_zip',
+  'patient_city',
+  'patient_birth',
+  'insurance_number'
+];
+
+// The /privatrezept questionnaire also holds the indication and the
+// requested medication. previous_cannabis stays a plain 0/1 flag and
+// kostentraeger is always 'Privat'.
+const PRIVATE_PRESCRIPTION_FIELDS = [
+  'first_name',
+  'last_name',
+  'street',
+  'house_number',
+  'zip_code',
+  'city',
+  'birthdate',
+  'indication',
+  'indication_other',
+  'medication_grams',
+  'medication_strain',
+  'medication_text'
+];
+
+const PATIENT_PROFILE_FIELDS = [
+  'first_name',
+  'last_name',
+  'address',
+  'zip',
+  'city',
+  'birthdate',
+  'insurance_number'
+];
+
+// The encrypted fields per table.
+const ENCRYPTED_TABLES = {
+  prescriptions: PATIENT_FIELDS,
+  private_prescriptions: PRIVATE_PRESCRIPTION_FIELDS,
+  patient_profiles: PATIENT_PROFILE_FIELDS
+};
+
+// The keyed hash (lib/field-crypto.js, blindIndex()) of the person a
+// prescription is written for: first and last name and the birthdate as
+// printed (tt.mm.jj), compared without case and surrounding spaces. Null
+// without a name, e.g. for anonymised prescriptions.
+function patientKey(cipher, firstName, lastName, birth) {
+  const parts = [firstName, lastName, birth].map(value => String(value || '').trim().toLowerCase());
+  if (!parts[0] || !parts[1]) return null;
+  return cipher.blindIndex(parts.join('\n'));
+}
+
+function query(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+// Returns { rows, updated, failed }: the number of rows checked,
+// re-written and not readable with the configured keys, over all tables of
+// ENCRYPTED_TABLES. Tables that do not exist yet are skipped.
+async function encryptPatientFields(db, cipher) {
+  const existing = new Set((await query(db, "SELECT name FROM sqlite_master WHERE type = 'table'")).map(r => r.name));
+  // patient_key is added by the server's schema migration; a database that
+  // has not been opened by the current server yet gets it at the next start.
+  const withKey = existing.has('prescriptions') &&
+    (await query(db, 'PRAGMA table_info(prescriptions)')).some(r => r.name === 'patient_key');
+  let rows = 0;
+  let updated = 0;
+  let failed = 0;
+  await run(db, 'BEGIN');
+  try {
+    for (const [table, fields] of Object.entries(ENCRYPTED_TABLES)) {
+      if (!existing.has(table)) continue;
+      const keyed = withKey && table === 'prescriptions';
+      const tableRows = await query(db, `SELECT id, ${fields.join(', ')}${keyed ? ', patient_key' : ''} FROM ${table}`);
+      rows += tableRows.length;
+      for (const row of tableRows) {
+        const stale = fields.filter(field => !cipher.isCurrent(row[field]));
+        const changes = {};
+        try {
+          stale.forEach(field => { changes[field] = cipher.encrypt(cipher.decrypt(row[field])); });
+          if (keyed) {
+            const key = patientKey(
+              cipher,
+              cipher.decrypt(row.patient_first_name),
+              cipher.decrypt(row.patient_last_name),
+              cipher.decrypt(row.patient_birth)
+            );
+            if (key !== row.patient_key) changes.patient_key = key;
+          }
+        } catch (err) {
+          failed++;
+          continue;
+        }
+        const columns = Object.keys(changes);
+        if (columns.length === 0) continue;
+        await run(
+          db,
+          `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          columns.map(column => changes[column]).concat([row.id])
+        );
+        updated++;
+      }
+    }
+    await run(db, 'COMMIT');
+  } catch (err) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+  return { rows, updated, failed };
+}
+
+module.exports = {
+  PATIENT_FIELDS,
+  PRIVATE_PRESCRIPTION_FIELDS,
+  PATIENT_PROFILE_FIELDS,
+  ENCRYPTED_TABLES,
+  patientKey,
+  encryptPatientFields
+};
@@ -0,0 +1,130 @@
+// db/migrations/normalize-product-metadata.js
+//
+// Typed cannabis metadata of the products (see lib/product-metadata.js):
+// adds the numeric columns thc_min, thc_max, cbd_min and cbd_max, the
+// table of tags (effects, aroma and terpenes) and the table linking
+// products to their tags (with the content in percent of the terpenes,
+// where known). The importer then parses the old text values of
+// products that have not been converted yet. Idempotent – runs at every
+// server start and can be run by hand with scripts/import-product-metadata.js.
+
+const { TAG_KINDS, parsePercent, splitTags } = require('../../lib/product-metadata');
+
+const RANGE_COLUMNS = ['thc_min', 'thc_max', 'cbd_min', 'cbd_max'];
+
+function query(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+async function ensureSchema(db) {
+  const info = await query(db, 'PRAGMA table_info(products)');
+  const have = new Set(info.map(r => r.name));
+  for (const column of RANGE_COLUMNS) {
+    if (!have.has(column)) await run(db, `ALTER TABLE products ADD COLUMN ${column} REAL`);
+  }
+  await run(db, `CREATE TABLE IF NOT EXISTS tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    UNIQUE (kind, name)
+  )`);
+  await run(db, `CREATE TABLE IF NOT EXISTS product_tags (
+    product_id INTEGER NOT NULL,
+    tag_id INTEGER NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    amount REAL,
+    PRIMARY KEY (product_id, tag_id)
+  )`);
+  const tagInfo = await query(db, 'PRAGMA table_info(product_tags)');
+  if (!tagInfo.some(r => r.name === 'amount')) await run(db, 'ALTER TABLE product_tags ADD COLUMN amount REAL');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_product_tags_tag ON product_tags (tag_id)');
+}
+
+// Replace the tags of `kind` of a product with `names` (in this order).
+// Unknown tags are created. `amounts` optionally maps lower-case tag names
+// to their content in percent; without an entry the amount is kept.
+async function setProductTags(db, productId, kind, names, amounts = {}) {
+  const previous = await query(
+    db,
+    'SELECT t.name, pt.amount FROM product_tags pt JOIN tags t ON t.id = pt.tag_id WHERE pt.product_id = ? AND t.kind = ?',
+    [productId, kind]
+  );
+  const kept = {};
+  previous.forEach(row => { kept[row.name.toLowerCase()] = row.amount; });
+  await run(
+    db,
+    'DELETE FROM product_tags WHERE product_id = ? AND tag_id IN (SELECT id FROM tags WHERE kind = ?)',
+    [productId, kind]
+  );
+  for (const [position, name] of names.entries()) {
+    const key = name.toLowerCase();
+    const amount = key in amounts ? amounts[key] : kept[key];
+    await run(db, 'INSERT OR IGNORE INTO tags (kind, name) VALUES (?, ?)', [kind, name]);
+    await run(
+      db,
+      'INSERT OR IGNORE INTO product_tags (product_id, tag_id, position, amount) SELECT ?, id, ?, ? FROM tags WHERE kind = ? AND name = ?',
+      [productId, position, amount == null ? null : amount, kind, name]
+    );
+  }
+}
+
+// Returns { products, ranges, tagged }: the number of products checked,
+// the products whose THC/CBD range and whose tags were imported.
+async function normalizeProductMetadata(db) {
+  await ensureSchema(db);
+  const rows = await query(db, `SELECT p.*,
+      (SELECT group_concat(DISTINCT t.kind) FROM product_tags pt JOIN tags t ON t.id = pt.tag_id
+        WHERE pt.product_id = p.id) AS tagged_kinds
+    FROM products p`);
+  let ranges = 0;
+  let tagged = 0;
+  await run(db, 'BEGIN');
+  try {
+    for (const row of rows) {
+      const updates = {};
+      ['thc', 'cbd'].forEach(field => {
+        const range = row[`${field}_min`] == null && row[`${field}_max`] == null ? parsePercent(row[field]) : null;
+        if (range) {
+          updates[`${field}_min`] = range.min;
+          updates[`${field}_max`] = range.max;
+        }
+      });
+      const columns = Object.keys(updates);
+      if (columns.length > 0) {
+        await run(
+          db,
+          `UPDATE products SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          columns.map(column => updates[column]).concat([row.id])
+        );
+        ranges++;
+      }
+      const taggedKinds = (row.tagged_kinds || '').split(',');
+      let changed = false;
+      for (const kind of Object.keys(TAG_KINDS)) {
+        const names = splitTags(row[kind]);
+        if (names.length === 0 || taggedKinds.includes(kind)) continue;
+        await setProductTags(db, row.id, kind, names);
+        changed = true;
+      }
+      if (changed) tagged++;
+    }
+    await run(db, 'COMMIT');
+  } catch (err) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+  return { products: rows.length, ranges, tagged };
+}
+
+module.exports = { RANGE_COLUMNS, normalizeProductMetadata, setProductTags };
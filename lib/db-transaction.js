@@ -0,0 +1,77 @@
+// lib/db-transaction.js
+//
+// Transactions on a connection of their own. The server shares one SQLite
+// connection between all requests; a BEGIN there would take in the writes
+// of every other request until the COMMIT, and a ROLLBACK would silently
+// undo them. runInTransaction(work) instead opens a second connection to
+// the same file, starts BEGIN IMMEDIATE and passes `work` a small promise
+// API ({ run, get, all }) for that connection, plus the connection itself
+// for helpers that take a sqlite3 database (e.g. setProductTags()). The
+// transaction is committed when the promise returned by `work` resolves
+// and rolled back when it rejects; either way the connection is closed
+// again.
+//
+// While a transaction holds the write lock, writers on other connections
+// wait up to `busyTimeoutMs` (the shared connection needs the same
+// timeout, see server.js). `work` must therefore only use the connection
+// it is given, never the shared one.
+
+const sqlite3 = require('sqlite3');
+
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+function createTransactionRunner(options) {
+  const dbPath = options.path;
+  const busyTimeoutMs = options.busyTimeoutMs || DEFAULT_BUSY_TIMEOUT_MS;
+
+  function open() {
+    return new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, err => {
+        if (err) return reject(err);
+        connection.configure('busyTimeout', busyTimeoutMs);
+        resolve(connection);
+      });
+    });
+  }
+
+  function call(connection, method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      connection[method](sql, params, function (err, result) {
+        if (err) reject(err);
+        else resolve(method === 'run' ? { lastID: this.lastID, changes: this.changes } : result);
+      });
+    });
+  }
+
+  function close(connection) {
+    return new Promise(resolve => connection.close(() => resolve()));
+  }
+
+  async function runInTransaction(work) {
+    const connection = await open();
+    const tx = {
+      connection,
+      run: (sql, params) => call(connection, 'run', sql, params),
+      get: (sql, params) => call(connection, 'get', sql, params),
+      all: (sql, params) => call(connection, 'all', sql, params)
+    };
+    try {
+      await tx.run('BEGIN IMMEDIATE');
+      let result;
+      try {
+        result = await work(tx);
+        await tx.run('COMMIT');
+      } catch (err) {
+        await tx.run('ROLLBACK').catch(() => {});
+        throw err;
+      }
+      return result;
+    } finally {
+      await close(connection);
+    }
+  }
+
+  return { runInTransaction };
+}
+
+module.exports = { DEFAULT_BUSY_TIMEOUT_MS, createTransactionRunner };
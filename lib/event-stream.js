@@ -0,0 +1,63 @@
+// lib/event-stream.js
+//
+// Server-Sent Events for the logged-in users. createEventHub() keeps the
+// open event streams; open(req, res, info) turns a response into an event
+// stream and registers it with `info` (e.g. { userId, isAdmin }), which
+// is used to select the recipients of an event with send(filter, ...).
+// A comment line is written every `heartbeatMs` so that proxies do not
+// close idle connections.
+
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+function formatEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventHub(options = {}) {
+  const clients = new Set();
+  const heartbeat = setInterval(() => {
+    clients.forEach(client => client.res.write(': ping\n\n'));
+  }, options.heartbeatMs || DEFAULT_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  function open(req, res, info) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Ask the browser to wait a few seconds before reconnecting.
+    res.write('retry: 5000\n\n');
+    const client = { res, info };
+    clients.add(client);
+    req.on('close', () => clients.delete(client));
+    return client;
+  }
+
+  // Send an event to one client.
+  function sendTo(client, event, data) {
+    client.res.write(formatEvent(event, data));
+  }
+
+  // Send an event to all clients whose info matches `filter`. `data` may
+  // be a function of the client info for per-recipient payloads.
+  function send(filter, event, data) {
+    clients.forEach(client => {
+      if (!filter(client.info)) return;
+      sendTo(client, event, typeof data === 'function' ? data(client.info) : data);
+    });
+  }
+
+  // Info of the connected clients matching `filter`.
+  function connected(filter) {
+    return Array.from(clients).map(client => client.info).filter(info => !filter || filter(info));
+  }
+
+  return { open, sendTo, send, connected };
+}
+
+module.exports = {
+  createEventHub
+};
@@ -0,0 +1,115 @@
+// lib/field-crypto.js
+//
+// Application-level encryption of single database fields (AES-256-GCM).
+// The key is a 32-byte value given base64- or hex-encoded in the
+// environment:
+//
+//  - PATIENT_DATA_KEY            key used to encrypt new values,
+//  - PATIENT_DATA_PREVIOUS_KEYS  comma-separated older keys that are only
+//                                used to decrypt, for key rotation.
+//
+// A new key can be created with
+//   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+//
+// Encrypted values are stored as 'enc:v1:<key id>:<iv>:<tag>:<data>'
+// (base64url parts). The key id is derived from the key, so values
+// encrypted with an older key are recognised and can be re-encrypted with
+// the current one. Values without the prefix are plaintext from before the
+// encryption was enabled and are returned unchanged by decrypt().
+//
+// blindIndex() gives a keyed hash (HMAC-SHA256 with a key derived from the
+// current key) of a value, so that encrypted records can be looked up by an
+// exact value without decrypting them. The hash changes with the key;
+// stored hashes are renewed together with the encrypted fields.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const INDEX_PREFIX = 'idx:v1:';
+
+function parseKey(raw, name) {
+  const value = String(raw).trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} muss ein 32-Byte-Schlüssel sein (base64 oder hex).`);
+  }
+  return { id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8), key };
+}
+
+// Read the keys from `env` (usually process.env). Returns { current, all }
+// where current is null when no key is configured. Invalid keys throw.
+function loadFieldKeys(env) {
+  const current = env.PATIENT_DATA_KEY ? parseKey(env.PATIENT_DATA_KEY, 'PATIENT_DATA_KEY') : null;
+  const previous = String(env.PATIENT_DATA_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .map(value => parseKey(value, 'PATIENT_DATA_PREVIOUS_KEYS'));
+  const all = new Map();
+  previous.concat(current ? [current] : []).forEach(entry => all.set(entry.id, entry.key));
+  return { current, all };
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Create the cipher for the given keys (see loadFieldKeys()). Without a
+// current key encrypt() leaves values as plaintext.
+function createFieldCipher(keys) {
+  const encrypt = value => {
+    if (value === null || value === undefined || value === '' || !keys.current) return value;
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keys.current.key, iv);
+    const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return PREFIX + [keys.current.id, iv, cipher.getAuthTag(), data]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join(':');
+  };
+
+  // Throws when the key of an encrypted value is not configured or the
+  // value has been tampered with.
+  const decrypt = value => {
+    if (!isEncrypted(value)) return value;
+    const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(':');
+    const key = keys.all.get(keyId);
+    if (!key) {
+      throw new Error(`Kein Schlüssel für verschlüsselte Daten mit der Kennung ${keyId} konfiguriert.`);
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  };
+
+  // Without a current key the hash is unkeyed; the values are plaintext
+  // then anyway.
+  const indexKey = keys.current
+    ? Buffer.from(crypto.hkdfSync('sha256', keys.current.key, Buffer.alloc(0), 'blind-index', 32))
+    : null;
+  const blindIndex = value => {
+    const hash = indexKey ? crypto.createHmac('sha256', indexKey) : crypto.createHash('sha256');
+    return `${INDEX_PREFIX}${keys.current ? keys.current.id : 'plain'}:${hash.update(String(value), 'utf8').digest('base64url')}`;
+  };
+
+  // True when the value is stored the way encrypt() would store it now:
+  // encrypted with the current key, or plaintext while no key is set.
+  const isCurrent = value => {
+    if (value === null || value === undefined || value === '') return true;
+    if (!keys.current) return !isEncrypted(value);
+    return isEncrypted(value) && value.slice(PREFIX.length).split(':')[0] === keys.current.id;
+  };
+
+  return {
+    enabled: Boolean(keys.current),
+    keyId: keys.current ? keys.current.id : null,
+    encrypt,
+    decrypt,
+    isCurrent,
+    blindIndex
+  };
+}
+
+module.exports = {
+  loadFieldKeys,
+  createFieldCipher,
+  isEncrypted
+};
@@ -0,0 +1,50 @@
+// lib/job-runner.js
+//
+// In-process runner for periodic background jobs (e.g. sending scheduled
+// newsletter campaigns). Every registered job is an async function that
+// runs every `intervalMs`; a job is never started again while its
+// previous run is still going. run(name) starts a job right away, e.g.
+// after a campaign has been scheduled for immediate sending. Errors are
+// logged and do not stop the runner.
+
+function createJobRunner(options = {}) {
+  const intervalMs = options.intervalMs || 15000;
+  const jobs = new Map();
+  let timer = null;
+
+  function register(name, task) {
+    jobs.set(name, { task, running: null });
+  }
+
+  // Run a job now. Returns a promise that resolves when the run is done;
+  // if the job is already running, the current run is returned.
+  function run(name) {
+    const job = jobs.get(name);
+    if (!job) return Promise.reject(new Error(`Unbekannter Job: ${name}`));
+    if (job.running) return job.running;
+    job.running = Promise.resolve()
+      .then(() => job.task())
+      .catch(err => console.error(`Fehler im Job ${name}:`, err.message))
+      .finally(() => {
+        job.running = null;
+      });
+    return job.running;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => jobs.forEach((job, name) => run(name)), intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { register, run, start, stop };
+}
+
+module.exports = {
+  createJobRunner
+};
@@ -0,0 +1,91 @@
+// lib/login-throttle.js
+//
+// Policy for limiting failed logins. Failures are counted per account (or
+// per unknown identifier, so that unknown and known names behave the same)
+// and per IP address; the counters are stored by the caller. After every
+// failed attempt on an account the next attempt has to wait a little
+// longer (1, 2, 4, ... seconds). Once an account or an IP address reaches
+// its maximum number of failures it is locked for a while. Failures older
+// than the counting window are forgotten.
+//
+// Settings come from LOGIN_MAX_FAILURES, LOGIN_IP_MAX_FAILURES,
+// LOGIN_LOCKOUT_MINUTES and LOGIN_FAILURE_WINDOW_MINUTES.
+
+const DEFAULT_THROTTLE = {
+  maxFailures: 5,
+  ipMaxFailures: 20,
+  lockoutMinutes: 15,
+  windowMinutes: 60,
+  maxDelaySeconds: 30
+};
+
+const THROTTLE_ENV_NAMES = {
+  maxFailures: 'LOGIN_MAX_FAILURES',
+  ipMaxFailures: 'LOGIN_IP_MAX_FAILURES',
+  lockoutMinutes: 'LOGIN_LOCKOUT_MINUTES',
+  windowMinutes: 'LOGIN_FAILURE_WINDOW_MINUTES'
+};
+
+// Read the settings from `env` (usually process.env). Missing or invalid
+// values fall back to DEFAULT_THROTTLE.
+function loadThrottleSettings(env) {
+  const settings = { ...DEFAULT_THROTTLE };
+  Object.keys(THROTTLE_ENV_NAMES).forEach(key => {
+    const raw = env[THROTTLE_ENV_NAMES[key]];
+    if (raw === undefined || raw === '') return;
+    const value = parseInt(raw, 10);
+    if (Number.isFinite(value) && value > 0) {
+      settings[key] = value;
+    } else {
+      console.warn(`Ungültiger Wert für ${THROTTLE_ENV_NAMES[key]}: ${raw}. Standardwert ${settings[key]} wird verwendet.`);
+    }
+  });
+  return settings;
+}
+
+// Milliseconds until `row` ({ locked_until }) may try again; 0 if it is
+// not locked.
+function lockRemaining(row, now) {
+  if (!row || !row.locked_until) return 0;
+  return Math.max(0, row.locked_until - now);
+}
+
+// Counter state after another failed attempt. `kind` is 'account' or 'ip';
+// `row` is the stored state ({ failures, last_failure_at }) or undefined.
+// Returns { failures, last_failure_at, locked_until, lockedOut }.
+function recordFailure(row, kind, settings, now) {
+  const windowMs = settings.windowMinutes * 60 * 1000;
+  const expired = !row || !row.last_failure_at || now - row.last_failure_at > windowMs;
+  const failures = (expired ? 0 : row.failures || 0) + 1;
+  const max = kind === 'ip' ? settings.ipMaxFailures : settings.maxFailures;
+  let lockedUntil = null;
+  if (failures >= max) {
+    lockedUntil = now + settings.lockoutMinutes * 60 * 1000;
+  } else if (kind === 'account') {
+    lockedUntil = now + Math.min(2 ** (failures - 1), settings.maxDelaySeconds) * 1000;
+  }
+  return {
+    failures,
+    last_failure_at: now,
+    locked_until: lockedUntil,
+    lockedOut: failures >= max
+  };
+}
+
+// German message for a login attempt that has to wait `remainingMs`.
+function lockMessage(remainingMs) {
+  const seconds = Math.ceil(remainingMs / 1000);
+  if (seconds <= 60) {
+    return `Bitte warten Sie ${seconds} ${seconds === 1 ? 'Sekunde' : 'Sekunden'}, bevor Sie es erneut versuchen.`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `Zu viele fehlgeschlagene Anmeldeversuche. Bitte versuchen Sie es in ${minutes} Minuten erneut.`;
+}
+
+module.exports = {
+  DEFAULT_THROTTLE,
+  loadThrottleSettings,
+  lockRemaining,
+  recordFailure,
+  lockMessage
+};
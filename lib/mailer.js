@@ -0,0 +1,94 @@
+// lib/mailer.js
+//
+// Outgoing e-mail through a pluggable transport, selected with the
+// MAIL_TRANSPORT environment variable:
+//
+//  - 'smtp'    sends through an SMTP server (SMTP_HOST, SMTP_PORT,
+//              SMTP_SECURE, SMTP_USER, SMTP_PASS) using nodemailer,
+//  - 'file'    writes every mail as a text file into MAIL_DIR, for local
+//              testing without a mail server,
+//  - 'console' (default) prints every mail to the server log.
+//
+// MAIL_FROM sets the sender address. All transports expose the same
+// send({ to, subject, text }) method returning a Promise.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Medizinisches Cannabis <no-reply@localhost>';
+
+function smtpTransport(env) {
+  // Loaded lazily so that nodemailer is only needed when SMTP is used.
+  const nodemailer = require('nodemailer');
+  const port = parseInt(env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    send: mail => transporter.sendMail(mail)
+  };
+}
+
+function formatMail(mail) {
+  return [
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${mail.from}`,
+    `To: ${mail.to}`,
+    `Subject: ${mail.subject}`,
+    '',
+    mail.text,
+    ''
+  ].join('\n');
+}
+
+function fileTransport(dir) {
+  let counter = 0;
+  return {
+    name: 'file',
+    send: mail => {
+      counter += 1;
+      const file = path.join(dir, `${Date.now()}-${process.pid}-${counter}.eml`);
+      return fs.promises.mkdir(dir, { recursive: true })
+        .then(() => fs.promises.writeFile(file, formatMail(mail), 'utf8'))
+        .then(() => ({ file }));
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    send: mail => {
+      console.log(`[mail]\n${formatMail(mail)}`);
+      return Promise.resolve({});
+    }
+  };
+}
+
+// Create the mailer configured by `env` (usually process.env). `defaultDir`
+// is used by the file transport when MAIL_DIR is not set.
+function createMailer(env, defaultDir) {
+  const kind = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  let transport;
+  if (kind === 'smtp') {
+    transport = smtpTransport(env);
+  } else if (kind === 'file') {
+    transport = fileTransport(env.MAIL_DIR || defaultDir);
+  } else {
+    if (kind !== 'console') {
+      console.warn(`Unbekannter MAIL_TRANSPORT „${env.MAIL_TRANSPORT}“, E-Mails werden im Log ausgegeben.`);
+    }
+    transport = consoleTransport();
+  }
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+  return {
+    transport: transport.name,
+    send: ({ to, subject, text }) => transport.send({ from, to, subject, text })
+  };
+}
+
+module.exports = { createMailer };
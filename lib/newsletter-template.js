@@ -0,0 +1,81 @@
+// lib/newsletter-template.js
+//
+// Templates of newsletter campaigns. Subject and text may contain
+// placeholders such as {{username}} (see PLACEHOLDERS), which are filled
+// in for every recipient. The text is either plain text or Markdown;
+// renderMarkdown() supports the small subset that is useful in messages
+// (headings, paragraphs, lists, bold, italic and links) and escapes
+// everything else, so the resulting HTML is safe to embed in a page.
+// Templates are deliberately not EJS: they are written in the browser
+// and must not be able to run code on the server.
+
+const PLACEHOLDERS = {
+  username: 'Benutzername des Empfängers',
+  email: 'E-Mail-Adresse des Empfängers',
+  date: 'Versanddatum (TT.MM.JJJJ)'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/gi;
+
+// Return the names of unknown placeholders used in `text`.
+function unknownPlaceholders(text) {
+  const unknown = new Set();
+  String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name.toLowerCase())) unknown.add(name);
+    return match;
+  });
+  return Array.from(unknown);
+}
+
+// Replace the placeholders in `text` with the values in `values`.
+function renderTemplate(text, values) {
+  return String(text || '').replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = values[name.toLowerCase()];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline formatting of an already escaped line.
+function renderInline(text) {
+  return text
+    .replace(/\[([^\]]+)\]\(((?:https?:\/\/|\/)[^\s)]*)\)/g, (match, label, url) =>
+      `<a href="${url}" rel="noopener">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*([^*]+)\*/g, '<em>$1</em>');
+}
+
+function renderMarkdown(text) {
+  const blocks = escapeHtml(String(text || '').replace(/\r\n/g, '\n')).split(/\n{2,}/);
+  return blocks
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => {
+      const heading = block.match(/^(#{1,3})\s+(.*)$/);
+      if (heading && !block.includes('\n')) {
+        const level = heading[1].length + 2;
+        return `<h${level}>${renderInline(heading[2])}</h${level}>`;
+      }
+      const lines = block.split('\n');
+      if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+        return `<ul>${lines.map(line => `<li>${renderInline(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+      }
+      return `<p>${lines.map(renderInline).join('<br>')}</p>`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  unknownPlaceholders,
+  renderTemplate,
+  renderMarkdown
+};
@@ -0,0 +1,62 @@
+// lib/outbox.js
+//
+// Delivery of the outbox entries (table outbox, see ensureOutboxTable() in
+// server.js) by e-mail and SMS. The mailer and the SMS sender are passed
+// in (lib/mailer.js, lib/sms.js), so that the file transports can stand in
+// for them in tests. A failed attempt is retried after `retryBaseSeconds`,
+// doubled with every further attempt; after `maxAttempts` failed attempts
+// an entry is marked 'failed'.
+
+function createOutboxDelivery(options) {
+  const { db, mailer, smsSender } = options;
+  const maxAttempts = options.maxAttempts || 6;
+  const retryBaseSeconds = options.retryBaseSeconds || 60;
+  const batchSize = options.batchSize || 50;
+
+  // Send one outbox entry and record the outcome.
+  function deliverEntry(entry) {
+    return Promise.resolve()
+      .then(() => (entry.channel === 'sms'
+        ? smsSender.send({ to: entry.recipient, text: entry.body })
+        : mailer.send({ to: entry.recipient, subject: entry.subject, text: entry.body })))
+      .then(
+        () => ({
+          sql: "UPDATE outbox SET status = 'sent', attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP, last_error = NULL WHERE id = ?",
+          params: [entry.id]
+        }),
+        err => {
+          const attempts = entry.attempts + 1;
+          const delay = retryBaseSeconds * 2 ** (attempts - 1);
+          console.error(`Zustellung ${entry.id} (${entry.channel}) fehlgeschlagen:`, err.message);
+          return {
+            sql: "UPDATE outbox SET status = ?, attempts = ?, last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?",
+            params: [attempts >= maxAttempts ? 'failed' : 'pending', attempts, String(err.message).slice(0, 500), `+${delay} seconds`, entry.id]
+          };
+        }
+      )
+      .then(update => new Promise((resolve, reject) => {
+        db.run(update.sql, update.params, err => (err ? reject(err) : resolve()));
+      }));
+  }
+
+  // Send the due entries in batches of `batchSize`.
+  function deliverDue() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM outbox WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP ORDER BY id LIMIT ?",
+        [batchSize],
+        (err, entries) => {
+          if (err) return reject(err);
+          entries
+            .reduce((previous, entry) => previous.then(() => deliverEntry(entry)), Promise.resolve())
+            .then(() => (entries.length === batchSize ? deliverDue() : null))
+            .then(resolve, reject);
+        }
+      );
+    });
+  }
+
+  return { deliverEntry, deliverDue };
+}
+
+module.exports = { createOutboxDelivery };
@@ -0,0 +1,51 @@
+// lib/passwords.js
+//
+// Password rules shared by the web forms and the command line scripts.
+// Every password needs PASSWORD_MIN_LENGTH characters. Admin accounts need
+// a strong password: at least STRONG_PASSWORD_MIN_LENGTH characters with
+// lower and upper case letters and a digit.
+
+const crypto = require('crypto');
+
+const PASSWORD_MIN_LENGTH = 8;
+const STRONG_PASSWORD_MIN_LENGTH = 12;
+
+// Credentials of the admin account that older versions created on every
+// fresh database. They are only used to detect that account.
+const LEGACY_ADMIN_LOGIN = 'Admin';
+const LEGACY_ADMIN_PASSWORD = 'admin1234';
+
+// Check a new password. Returns a list of German error messages, empty if
+// the password is acceptable. Pass { strong: true } for admin accounts.
+function passwordErrors(password, options = {}) {
+  const value = String(password || '');
+  const minLength = options.strong ? STRONG_PASSWORD_MIN_LENGTH : PASSWORD_MIN_LENGTH;
+  if (value.length < minLength) {
+    return [`Das Passwort muss mindestens ${minLength} Zeichen lang sein.`];
+  }
+  if (options.strong && !(/[a-z]/.test(value) && /[A-Z]/.test(value) && /\d/.test(value))) {
+    return ['Das Passwort muss Klein- und Großbuchstaben sowie mindestens eine Ziffer enthalten.'];
+  }
+  if (value === LEGACY_ADMIN_PASSWORD) {
+    return ['Dieses Passwort darf nicht verwendet werden.'];
+  }
+  return [];
+}
+
+// Generate a random password that satisfies the strong rules.
+function generatePassword() {
+  let password;
+  do {
+    password = crypto.randomBytes(12).toString('base64').replace(/[+/=]/g, '');
+  } while (passwordErrors(password, { strong: true }).length > 0);
+  return password;
+}
+
+module.exports = {
+  PASSWORD_MIN_LENGTH,
+  STRONG_PASSWORD_MIN_LENGTH,
+  LEGACY_ADMIN_LOGIN,
+  LEGACY_ADMIN_PASSWORD,
+  passwordErrors,
+  generatePassword
+};
@@ -0,0 +1,189 @@
+// lib/prescription-items.js
+//
+// Structured medication items of a prescription. Each item stores the
+// amount in grams, the strain (linked to a product of the catalog), the single
+// and daily dose (ED/TD) and how the flowers are dispensed and taken. The
+// text printed on the prescription is generated from these fields by
+// buildMedicationLine(); the old medication1..3 text columns are only read
+// for prescriptions created before items existed.
+
+// One A6 form has room for three Verordnungen. Prescriptions with more
+// items are printed on several forms.
+const ITEMS_PER_SHEET = 3;
+
+const ADMINISTRATION_FORMS = ['verdampfen/inhalieren', 'Teezubereitung'];
+const DISPENSING_FORMS = { unzerkleinert: 'unzerkleinert', zerkleinert: 'zerkleinert (gemahlen)' };
+
+const DEFAULT_SINGLE_DOSE = 0.01;
+const DEFAULT_DAILY_DOSE = 1;
+
+// Format a number the German way, e.g. 0.5 -> '0,50' with two decimals or
+// 10.5 -> '10,5' with `decimals` = null (as many as needed, at most 2).
+function formatGermanNumber(value, decimals) {
+  if (decimals == null) {
+    return String(Math.round(value * 100) / 100).replace('.', ',');
+  }
+  return Number(value).toFixed(decimals).replace('.', ',');
+}
+
+// Parse a number entered with comma or dot as decimal separator. Returns
+// NaN for anything that is not a plain decimal number.
+function parseGermanNumber(value) {
+  const text = String(value == null ? '' : value).trim().replace(',', '.');
+  if (!/^\d+(\.\d+)?$/.test(text)) return NaN;
+  return parseFloat(text);
+}
+
+// Build the printed line of a medication item.
+function buildMedicationLine(item) {
+  const dispensing = item.dispensing_form === 'zerkleinert' ? 'zerkleinert' : 'unzerkleinert';
+  const administration = item.administration || ADMINISTRATION_FORMS[0];
+  return `${formatGermanNumber(item.grams)}g Cannabisblüten, ${item.strain}, ${dispensing}, ${administration}, ` +
+    `Dosierung: ED ${formatGermanNumber(item.single_dose, 2)}g TD ${formatGermanNumber(item.daily_dose, 2)}g`;
+}
+
+// Parse a line in the format produced by the former fixed text builder
+// ("5g Cannabisblüten, Sorte, unzerkleinert, verdampfen/inhalieren,
+// Dosierung: ED 0,01g TD 1,00g") back into an item. Returns null if the
+// line does not follow that format.
+function parseLegacyMedicationLine(line) {
+  const match = String(line || '').match(
+    /^([\d.,]+)g Cannabisblüten, (.+), (unzerkleinert|zerkleinert), (.+), Dosierung: ED ([\d.,]+)g TD ([\d.,]+)g$/
+  );
+  if (!match) return null;
+  const grams = parseGermanNumber(match[1]);
+  const singleDose = parseGermanNumber(match[5]);
+  const dailyDose = parseGermanNumber(match[6]);
+  if ([grams, singleDose, dailyDose].some(n => !Number.isFinite(n))) return null;
+  return {
+    grams,
+    strain: match[2],
+    dispensing_form: match[3],
+    administration: match[4],
+    single_dose: singleDose,
+    daily_dose: dailyDose
+  };
+}
+
+// Read the item rows of the prescription form. Every row submits the
+// fields item_grams, item_product_id, item_single_dose, item_daily_dose,
+// item_administration and item_dispensing_form; rows without amount and
+// product are ignored. The strain itself is filled in from the product by
+// applyProductSnapshots(). Returns { items, rows, errors } where `rows`
+// holds the raw values for re-rendering the form.
+function parseItemsFromBody(body) {
+  const list = name => [].concat(body[name] === undefined ? [] : body[name]);
+  const grams = list('item_grams');
+  const productIds = list('item_product_id');
+  const singleDoses = list('item_single_dose');
+  const dailyDoses = list('item_daily_dose');
+  const administrations = list('item_administration');
+  const dispensingForms = list('item_dispensing_form');
+  const count = Math.max(grams.length, productIds.length);
+  const rows = [];
+  const items = [];
+  const errors = [];
+  for (let i = 0; i < count; i++) {
+    const row = {
+      grams: String(grams[i] || '').trim(),
+      product_id: String(productIds[i] || '').trim(),
+      single_dose: String(singleDoses[i] || '').trim(),
+      daily_dose: String(dailyDoses[i] || '').trim(),
+      administration: administrations[i],
+      dispensing_form: dispensingForms[i]
+    };
+    if (!row.grams && !row.product_id) continue;
+    rows.push(row);
+    const position = rows.length;
+    const item = {
+      grams: parseGermanNumber(row.grams),
+      product_id: row.product_id ? Number(row.product_id) : null,
+      strain: '',
+      single_dose: row.single_dose ? parseGermanNumber(row.single_dose) : DEFAULT_SINGLE_DOSE,
+      daily_dose: row.daily_dose ? parseGermanNumber(row.daily_dose) : DEFAULT_DAILY_DOSE,
+      administration: ADMINISTRATION_FORMS.includes(row.administration) ? row.administration : ADMINISTRATION_FORMS[0],
+      dispensing_form: DISPENSING_FORMS[row.dispensing_form] ? row.dispensing_form : 'unzerkleinert'
+    };
+    if (!row.product_id) {
+      errors.push(`Verordnung ${position}: Bitte wählen Sie eine Sorte aus.`);
+    }
+    if (!Number.isFinite(item.grams) || item.grams <= 0) {
+      errors.push(`Verordnung ${position}: Bitte geben Sie eine gültige Menge in Gramm an.`);
+    }
+    if (!Number.isFinite(item.single_dose) || item.single_dose <= 0 ||
+        !Number.isFinite(item.daily_dose) || item.daily_dose <= 0) {
+      errors.push(`Verordnung ${position}: Bitte geben Sie Einzel- und Tagesdosis als Zahl in Gramm an.`);
+    } else if (item.single_dose > item.daily_dose) {
+      errors.push(`Verordnung ${position}: Die Einzeldosis darf nicht größer als die Tagesdosis sein.`);
+    }
+    items.push(item);
+  }
+  return { items, rows, errors };
+}
+
+// Link parsed items to the products they were prescribed from. `products`
+// are the products that may currently be prescribed (active ones only).
+// Each item receives the product title as strain together with a snapshot
+// of the title, THC and CBD values, so that later changes to the catalog
+// do not alter issued prescriptions. Returns the error messages for items
+// whose product is unknown or no longer available.
+function applyProductSnapshots(items, products) {
+  const byId = new Map(products.map(product => [product.id, product]));
+  const errors = [];
+  items.forEach((item, index) => {
+    // Items without a product were already reported by parseItemsFromBody().
+    if (item.product_id === null) return;
+    const product = byId.get(item.product_id);
+    if (!product) {
+      errors.push(`Verordnung ${index + 1}: Die gewählte Sorte ist nicht bekannt oder nicht mehr verfügbar.`);
+      return;
+    }
+    item.strain = product.title;
+    item.product_title = product.title;
+    item.product_thc = product.thc || '';
+    item.product_cbd = product.cbd || '';
+  });
+  return errors;
+}
+
+// Printed medication lines of a prescription: generated from its items, or
+// the legacy text columns for prescriptions without items.
+function medicationLines(prescription, items) {
+  if (items && items.length > 0) {
+    return items.map(buildMedicationLine);
+  }
+  return [prescription.medication1, prescription.medication2, prescription.medication3].filter(Boolean);
+}
+
+// Split a prescription into the A6 forms needed to print it. Each sheet is
+// a copy of the prescription whose medication1..3 hold the lines for that
+// form, so it can be passed to the print layout directly.
+function prescriptionSheets(prescription, items) {
+  const lines = medicationLines(prescription, items);
+  const sheets = [];
+  for (let i = 0; i === 0 || i < lines.length; i += ITEMS_PER_SHEET) {
+    sheets.push({
+      ...prescription,
+      medication1: lines[i] || '',
+      medication2: lines[i + 1] || '',
+      medication3: lines[i + 2] || ''
+    });
+  }
+  return sheets;
+}
+
+module.exports = {
+  ITEMS_PER_SHEET,
+  ADMINISTRATION_FORMS,
+  DISPENSING_FORMS,
+  DEFAULT_SINGLE_DOSE,
+  DEFAULT_DAILY_DOSE,
+  formatGermanNumber,
+  parseGermanNumber,
+  buildMedicationLine,
+  parseLegacyMedicationLine,
+  parseItemsFromBody,
+  applyProductSnapshots,
+  medicationLines,
+  prescriptionSheets
+};
@@ -0,0 +1,124 @@
+// lib/prescription-layout.js
+//
+// Field layout of the A6 private prescription (Muster 16 / Privatrezept).
+// All coordinates are given in millimetres from the top left corner of the
+// 148 x 105 mm form. The same layout drives the HTML print view
+// (views/prescription-print.ejs) and the server-side PDF renderer
+// (lib/prescription-pdf.js), so both place the text identically.
+//
+// Admins can store calibrated layout profiles per printer in the
+// print_layouts table. A profile only stores the values that differ per
+// printer (top/left/width/font size per field and a global X/Y offset);
+// normalizeLayout() merges it with the defaults below, so fields added
+// later automatically appear in existing profiles.
+
+const PAGE_WIDTH_MM = 148;
+const PAGE_HEIGHT_MM = 105;
+const DEFAULT_FONT_SIZE_MM = 3;
+
+const PRESCRIPTION_FIELDS = [
+  { key: 'insurance',        label: 'Kostenträger',        top: 8,  left: 6,   width: 85 },
+  { key: 'patient_name',     label: 'Name, Anschrift',     top: 25, left: 6,   width: 85 },
+  { key: 'patient_birth',    label: 'Geburtsdatum',        top: 30, left: 92,  width: 30 },
+  { key: 'insurance_number', label: 'Versicherten-Nr.',    top: 40, left: 40,  width: 50 },
+  { key: 'doctor_practice',  label: 'Betriebsstätten-Nr.', top: 55, left: 6,   width: 30 },
+  { key: 'doctor_number',    label: 'Arzt-Nr.',            top: 55, left: 45,  width: 30 },
+  { key: 'date',             label: 'Datum',               top: 55, left: 92,  width: 30 },
+  { key: 'medication1',      label: '1. Verordnung',       top: 20, left: 108, width: 35 },
+  { key: 'medication2',      label: '2. Verordnung',       top: 30, left: 108, width: 35 },
+  { key: 'medication3',      label: '3. Verordnung',       top: 40, left: 108, width: 35 }
+];
+
+// Allowed ranges (mm) for the values of a layout profile.
+const LIMITS = {
+  top: [0, PAGE_HEIGHT_MM],
+  left: [0, PAGE_WIDTH_MM],
+  width: [1, PAGE_WIDTH_MM],
+  fontSize: [1, 10],
+  offset: [-30, 30]
+};
+
+function parseStoredFields(json) {
+  if (!json) return {};
+  try {
+    const parsed = JSON.parse(json);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Turn a row of the print_layouts table (or null for the built-in
+// defaults) into { id, name, offsetX, offsetY, fields: [...] }.
+function normalizeLayout(row) {
+  const stored = parseStoredFields(row && row.fields);
+  return {
+    id: row ? row.id : null,
+    name: row ? row.name : 'Standard',
+    isDefault: row ? Boolean(row.is_default) : true,
+    offsetX: row && Number.isFinite(row.offset_x) ? row.offset_x : 0,
+    offsetY: row && Number.isFinite(row.offset_y) ? row.offset_y : 0,
+    fields: PRESCRIPTION_FIELDS.map(field => {
+      const override = stored[field.key] || {};
+      const pick = (name, fallback) => (Number.isFinite(override[name]) ? override[name] : fallback);
+      return {
+        key: field.key,
+        label: field.label,
+        top: pick('top', field.top),
+        left: pick('left', field.left),
+        width: pick('width', field.width),
+        fontSize: pick('fontSize', DEFAULT_FONT_SIZE_MM)
+      };
+    })
+  };
+}
+
+// Read a layout profile from submitted form values named
+// <key>_top, <key>_left, <key>_width, <key>_font_size, offset_x and
+// offset_y. Returns { offsetX, offsetY, fieldsJson, errors }.
+function parseLayoutForm(body) {
+  const errors = [];
+  const number = (raw, label, [min, max]) => {
+    const value = parseFloat(String(raw === undefined ? '' : raw).replace(',', '.'));
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${label} muss eine Zahl zwischen ${min} und ${max} sein.`);
+      return min;
+    }
+    return Math.round(value * 10) / 10;
+  };
+  const offsetX = number(body.offset_x, 'Versatz X', LIMITS.offset);
+  const offsetY = number(body.offset_y, 'Versatz Y', LIMITS.offset);
+  const fields = {};
+  PRESCRIPTION_FIELDS.forEach(field => {
+    fields[field.key] = {
+      top: number(body[`${field.key}_top`], `${field.label}: oben`, LIMITS.top),
+      left: number(body[`${field.key}_left`], `${field.label}: links`, LIMITS.left),
+      width: number(body[`${field.key}_width`], `${field.label}: Breite`, LIMITS.width),
+      fontSize: number(body[`${field.key}_font_size`], `${field.label}: Schriftgröße`, LIMITS.fontSize)
+    };
+  });
+  return { offsetX, offsetY, fieldsJson: JSON.stringify(fields), errors };
+}
+
+// Return the fields of the layout together with the text to print for
+// the given prescription. The global offset of the profile is already
+// applied to top/left. Empty values are returned as ''.
+function layoutFieldsFor(prescription, layout) {
+  const resolved = layout || normalizeLayout(null);
+  return resolved.fields.map(field => ({
+    ...field,
+    top: field.top + resolved.offsetY,
+    left: field.left + resolved.offsetX,
+    value: prescription[field.key] == null ? '' : String(prescription[field.key])
+  }));
+}
+
+module.exports = {
+  PAGE_WIDTH_MM,
+  PAGE_HEIGHT_MM,
+  DEFAULT_FONT_SIZE_MM,
+  PRESCRIPTION_FIELDS,
+  normalizeLayout,
+  parseLayoutForm,
+  layoutFieldsFor
+};
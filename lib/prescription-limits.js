@@ -0,0 +1,111 @@
+// lib/prescription-limits.js
+//
+// Plausibility checks for the medication items of a prescription. The
+// limits are configurable through environment variables (see loadLimits()).
+// Checks are split into two groups:
+//
+//  - format errors (amounts that are not a number, too many decimals), which
+//    always have to be corrected, and
+//  - limit violations (maximum grams per item and per prescription, maximum
+//    daily dose, rolling 30-day limit per patient), which an admin may
+//    override with a reason that is recorded on the prescription.
+
+const { formatGermanNumber } = require('./prescription-items');
+
+const DEFAULT_LIMITS = {
+  maxGramsPerItem: 100,
+  maxGramsPerPrescription: 100,
+  maxDailyDose: 3,
+  maxGramsPer30Days: 100,
+  maxDecimals: 2
+};
+
+// Environment variable for each limit.
+const LIMIT_ENV_NAMES = {
+  maxGramsPerItem: 'PRESCRIPTION_MAX_GRAMS_PER_ITEM',
+  maxGramsPerPrescription: 'PRESCRIPTION_MAX_GRAMS_PER_PRESCRIPTION',
+  maxDailyDose: 'PRESCRIPTION_MAX_DAILY_DOSE',
+  maxGramsPer30Days: 'PRESCRIPTION_MAX_GRAMS_PER_30_DAYS'
+};
+
+// Read the limits from `env` (usually process.env). Missing or invalid
+// values fall back to DEFAULT_LIMITS.
+function loadLimits(env) {
+  const limits = { ...DEFAULT_LIMITS };
+  Object.keys(LIMIT_ENV_NAMES).forEach(key => {
+    const raw = env[LIMIT_ENV_NAMES[key]];
+    if (raw === undefined || raw === '') return;
+    const value = parseFloat(String(raw).replace(',', '.'));
+    if (Number.isFinite(value) && value > 0) {
+      limits[key] = value;
+    } else {
+      console.warn(`Ungültiger Wert für ${LIMIT_ENV_NAMES[key]}: ${raw}. Standardwert ${limits[key]} wird verwendet.`);
+    }
+  });
+  return limits;
+}
+
+function grams(value) {
+  return `${formatGermanNumber(value)} g`;
+}
+
+// Check the raw form values of the item rows (see parseItemsFromBody())
+// for numbers with more decimals than allowed. Values that are not numbers
+// at all are already reported by parseItemsFromBody().
+function checkFormats(rows, limits) {
+  const errors = [];
+  const tooPrecise = value => {
+    const match = String(value || '').match(/[.,](\d+)$/);
+    return Boolean(match) && match[1].length > limits.maxDecimals;
+  };
+  rows.forEach((row, index) => {
+    if ([row.grams, row.single_dose, row.daily_dose].some(tooPrecise)) {
+      errors.push(`Verordnung ${index + 1}: Mengen und Dosierungen dürfen höchstens ${limits.maxDecimals} Nachkommastellen haben.`);
+    }
+  });
+  return errors;
+}
+
+// Check the parsed items against the per-item and per-prescription limits.
+// Returns a list of violation messages.
+function checkItemLimits(items, limits) {
+  const violations = [];
+  items.forEach((item, index) => {
+    if (item.grams > limits.maxGramsPerItem) {
+      violations.push(`Verordnung ${index + 1}: ${grams(item.grams)} überschreiten die Höchstmenge von ${grams(limits.maxGramsPerItem)} je Verordnung.`);
+    }
+    if (item.daily_dose > limits.maxDailyDose) {
+      violations.push(`Verordnung ${index + 1}: Die Tagesdosis von ${grams(item.daily_dose)} überschreitet die Höchstdosis von ${grams(limits.maxDailyDose)} pro Tag.`);
+    }
+  });
+  const total = totalGrams(items);
+  if (total > limits.maxGramsPerPrescription) {
+    violations.push(`Das Rezept umfasst insgesamt ${grams(total)} und überschreitet die Höchstmenge von ${grams(limits.maxGramsPerPrescription)} je Rezept.`);
+  }
+  return violations;
+}
+
+// Check the rolling 30-day limit. `previousGrams` is the amount prescribed
+// to the patient within the last 30 days before this prescription.
+function checkRollingLimit(items, previousGrams, limits) {
+  const total = Math.round((previousGrams + totalGrams(items)) * 100) / 100;
+  if (total <= limits.maxGramsPer30Days) return [];
+  const previous = previousGrams > 0 ? `In den letzten 30 Tagen wurden bereits ${grams(previousGrams)} verordnet. ` : '';
+  return [
+    `${previous}Mit diesem Rezept wären es ${grams(total)} innerhalb von 30 Tagen, ` +
+    `zulässig sind höchstens ${grams(limits.maxGramsPer30Days)}.`
+  ];
+}
+
+function totalGrams(items) {
+  return Math.round(items.reduce((sum, item) => sum + (Number.isFinite(item.grams) ? item.grams : 0), 0) * 100) / 100;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  loadLimits,
+  checkFormats,
+  checkItemLimits,
+  checkRollingLimit,
+  totalGrams
+};
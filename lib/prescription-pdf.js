@@ -0,0 +1,104 @@
+// lib/prescription-pdf.js
+//
+// Render A6 private prescriptions as PDF with pdfkit. Every prescription
+// becomes one 148 x 105 mm page. In 'text' mode only the field values are
+// printed, which is what goes onto pre-printed blanks; in 'background'
+// mode the scanned blank form is placed underneath for archiving.
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { PAGE_WIDTH_MM, PAGE_HEIGHT_MM, layoutFieldsFor } = require('./prescription-layout');
+
+const MM = 72 / 25.4;
+const PAGE_SIZE = [PAGE_WIDTH_MM * MM, PAGE_HEIGHT_MM * MM];
+const BACKGROUND_IMAGE = path.join(__dirname, '..', 'public', 'images', 'prescription_blank.jpg');
+
+function drawBackground(doc) {
+  doc.image(BACKGROUND_IMAGE, 0, 0, {
+    fit: PAGE_SIZE,
+    align: 'center',
+    valign: 'center'
+  });
+}
+
+function drawPrescription(doc, prescription, withBackground, layout) {
+  doc.addPage({ size: PAGE_SIZE, margin: 0 });
+  if (withBackground) drawBackground(doc);
+  doc.font('Helvetica').fillColor('black');
+  layoutFieldsFor(prescription, layout).forEach(field => {
+    if (!field.value) return;
+    // Limit the height to the rest of the page; otherwise pdfkit would
+    // continue overflowing text on a new page.
+    doc.fontSize(field.fontSize * MM).text(field.value, field.left * MM, field.top * MM, {
+      width: field.width * MM,
+      height: Math.max(PAGE_SIZE[1] - field.top * MM, field.fontSize * MM),
+      lineGap: 0
+    });
+  });
+}
+
+// Collect the output of a pdfkit document into a Buffer. `draw` adds the
+// pages to the document.
+function renderDocument(title, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ autoFirstPage: false, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    try {
+      draw(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+// Render one or more prescriptions into a single PDF document. Resolves
+// with the PDF as Buffer. `mode` is either 'text' or 'background';
+// `layout` is a normalized layout profile (defaults if omitted).
+function renderPrescriptionsPdf(prescriptions, mode, layout) {
+  const title = prescriptions.length === 1 ? `Privatrezept #${prescriptions[0].id}` : 'Privatrezepte';
+  return renderDocument(title, doc => {
+    prescriptions.forEach(p => drawPrescription(doc, p, mode === 'background', layout));
+  });
+}
+
+// Render a calibration page for a layout profile: a millimetre grid with
+// labelled lines every 10 mm plus a frame and the label of every field at
+// its configured position. Printed on a blank form it shows how far the
+// printer is off.
+function renderCalibrationPdf(layout, withBackground) {
+  return renderDocument(`Testraster ${layout.name}`, doc => {
+    doc.addPage({ size: PAGE_SIZE, margin: 0 });
+    if (withBackground) drawBackground(doc);
+    doc.lineWidth(0.2);
+    for (let x = 0; x <= PAGE_WIDTH_MM; x += 5) {
+      doc.strokeColor(x % 10 === 0 ? '#999999' : '#dddddd')
+        .moveTo(x * MM, 0).lineTo(x * MM, PAGE_SIZE[1]).stroke();
+    }
+    for (let y = 0; y <= PAGE_HEIGHT_MM; y += 5) {
+      doc.strokeColor(y % 10 === 0 ? '#999999' : '#dddddd')
+        .moveTo(0, y * MM).lineTo(PAGE_SIZE[0], y * MM).stroke();
+    }
+    doc.font('Helvetica').fontSize(1.6 * MM).fillColor('#666666');
+    for (let x = 10; x < PAGE_WIDTH_MM; x += 10) doc.text(String(x), x * MM + 0.5 * MM, 0.5 * MM, { lineBreak: false });
+    for (let y = 10; y < PAGE_HEIGHT_MM; y += 10) doc.text(String(y), 0.5 * MM, y * MM + 0.5 * MM, { lineBreak: false });
+
+    layoutFieldsFor({}, layout).forEach(field => {
+      const height = field.fontSize * MM * 1.2;
+      doc.lineWidth(0.4).strokeColor('#cc0000')
+        .rect(field.left * MM, field.top * MM, field.width * MM, height).stroke();
+      doc.fillColor('#cc0000').fontSize(field.fontSize * MM)
+        .text(field.label, field.left * MM, field.top * MM, {
+          width: field.width * MM,
+          height,
+          lineBreak: false,
+          ellipsis: true
+        });
+    });
+  });
+}
+
+module.exports = { renderPrescriptionsPdf, renderCalibrationPdf };
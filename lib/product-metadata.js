@@ -0,0 +1,64 @@
+// lib/product-metadata.js
+//
+// Cannabis metadata of the products. THC and CBD are stored as numeric
+// ranges (thc_min/thc_max, cbd_min/cbd_max in percent); the text columns
+// thc and cbd hold the label shown to users, e.g. '27%' or '<1%', which
+// formatPercent() derives from the range. Effects, aroma and terpenes are
+// tags (tables tags and product_tags, see
+// db/migrations/normalize-product-metadata.js); TAG_KINDS lists the kinds
+// with their labels. parsePercent() and splitTags() read the old text
+// values when existing products are imported.
+
+const { formatGermanNumber } = require('./prescription-items');
+
+const TAG_KINDS = {
+  effects: 'Wirkung',
+  aroma: 'Aroma',
+  terpenes: 'Terpene'
+};
+
+const TAG_MAX_LENGTH = 60;
+
+// Parse a percentage such as '27%', '22,5 %', '<1%' or '20-25%' into
+// { min, max }. Returns null when the text holds no number.
+function parsePercent(text) {
+  const value = String(text || '').replace(/,/g, '.');
+  const numbers = (value.match(/\d+(\.\d+)?/g) || []).map(Number);
+  if (numbers.length === 0) return null;
+  if (/^\s*</.test(value)) return { min: 0, max: numbers[0] };
+  if (/^\s*>/.test(value)) return { min: numbers[0], max: 100 };
+  return { min: Math.min(...numbers), max: Math.max(...numbers) };
+}
+
+// The label of a range, the inverse of parsePercent(): '27%', '<1%' or
+// '20–25%'. Empty when there is no value.
+function formatPercent(min, max) {
+  if (min == null && max == null) return '';
+  const low = min == null ? max : min;
+  const high = max == null ? min : max;
+  if (low === high) return `${formatGermanNumber(low)}%`;
+  if (low === 0) return `<${formatGermanNumber(high)}%`;
+  return `${formatGermanNumber(low)}–${formatGermanNumber(high)}%`;
+}
+
+// Split a comma-separated list into tags, without empty and duplicate
+// (case-insensitive) entries.
+function splitTags(text) {
+  const seen = new Set();
+  return String(text || '')
+    .split(',')
+    .map(tag => tag.replace(/\s+/g, ' ').trim().slice(0, TAG_MAX_LENGTH))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = {
+  TAG_KINDS,
+  parsePercent,
+  formatPercent,
+  splitTags
+};
@@ -0,0 +1,157 @@
+// lib/showroom-filters.js
+//
+// Search, filters and sorting of the showroom. The filters are read from
+// the query string (parseShowroomFilters()) so that a filtered showroom can
+// be shared as a link, and the same filters drive the JSON API.
+// showroomSql() turns them into the conditions and order of a query on the
+// products table (alias p): THC and CBD are compared with the numeric
+// ranges thc_min/thc_max and cbd_min/cbd_max, effects, aroma and terpenes
+// with the tags of the product (see lib/product-metadata.js).
+
+const { TAG_KINDS } = require('./product-metadata');
+
+const STRAIN_TYPES = { indica: 'Indica', sativa: 'Sativa', hybrid: 'Hybrid' };
+
+const SHOWROOM_SORTS = {
+  title: 'Name',
+  price_asc: 'Preis aufsteigend',
+  price_desc: 'Preis absteigend',
+  thc_desc: 'THC absteigend',
+  thc_asc: 'THC aufsteigend'
+};
+
+const TAG_FIELDS = Object.keys(TAG_KINDS);
+
+function parseNumber(value) {
+  const number = parseFloat(String(value == null ? '' : value).replace(',', '.'));
+  return isNaN(number) ? null : number;
+}
+
+function listParam(value) {
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Read the filters from a query object (req.query).
+function parseShowroomFilters(query) {
+  return {
+    q: String(query.q || '').trim(),
+    thc_min: parseNumber(query.thc_min),
+    thc_max: parseNumber(query.thc_max),
+    cbd_min: parseNumber(query.cbd_min),
+    cbd_max: parseNumber(query.cbd_max),
+    strain_type: STRAIN_TYPES[query.strain_type] ? query.strain_type : '',
+    effects: listParam(query.effects),
+    aroma: listParam(query.aroma),
+    terpenes: listParam(query.terpenes),
+    sort: SHOWROOM_SORTS[query.sort] ? query.sort : 'title'
+  };
+}
+
+// The query string of `filters`, without the defaults.
+function showroomQueryString(filters) {
+  const params = new URLSearchParams();
+  if (filters.q) params.append('q', filters.q);
+  ['thc_min', 'thc_max', 'cbd_min', 'cbd_max'].forEach(key => {
+    if (filters[key] !== null) params.append(key, String(filters[key]));
+  });
+  if (filters.strain_type) params.append('strain_type', filters.strain_type);
+  TAG_FIELDS.forEach(field => filters[field].forEach(tag => params.append(field, tag)));
+  if (filters.sort !== 'title') params.append('sort', filters.sort);
+  return params.toString();
+}
+
+const PRODUCT_TAG = 'SELECT 1 FROM product_tags pt JOIN tags t ON t.id = pt.tag_id WHERE pt.product_id = p.id';
+
+const ORDER_BY = {
+  title: 'p.title COLLATE NOCASE',
+  price_asc: 'p.price ASC, p.title COLLATE NOCASE',
+  price_desc: 'p.price DESC, p.title COLLATE NOCASE',
+  // Products without THC value come last in both directions.
+  thc_desc: 'p.thc_max IS NULL, p.thc_max DESC, p.title COLLATE NOCASE',
+  thc_asc: 'p.thc_max IS NULL, p.thc_max ASC, p.title COLLATE NOCASE'
+};
+
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, c => `\\${c}`)}%`;
+}
+
+// The WHERE clause (without the keyword, '1 = 1' without filters), its
+// parameters and the ORDER BY clause of the filtered showroom. Ranges
+// overlap when the product range reaches into the filter range; tags are
+// compared case-insensitively and all chosen tags must be present. Every
+// word of the search has to occur in the title, the description or a tag.
+function showroomSql(filters) {
+  const conditions = [];
+  const params = [];
+  if (filters.q) {
+    filters.q.split(/\s+/).forEach(word => {
+      conditions.push(`(p.title LIKE ? ESCAPE '\\' OR p.description LIKE ? ESCAPE '\\' OR EXISTS (${PRODUCT_TAG} AND t.name LIKE ? ESCAPE '\\'))`);
+      const like = likePattern(word);
+      params.push(like, like, like);
+    });
+  }
+  ['thc', 'cbd'].forEach(field => {
+    if (filters[`${field}_min`] !== null) {
+      conditions.push(`p.${field}_max >= ?`);
+      params.push(filters[`${field}_min`]);
+    }
+    if (filters[`${field}_max`] !== null) {
+      conditions.push(`p.${field}_min <= ?`);
+      params.push(filters[`${field}_max`]);
+    }
+  });
+  if (filters.strain_type) {
+    conditions.push('p.strain_type = ?');
+    params.push(filters.strain_type);
+  }
+  TAG_FIELDS.forEach(kind => filters[kind].forEach(tag => {
+    conditions.push(`EXISTS (${PRODUCT_TAG} AND t.kind = ? AND t.name = ?)`);
+    params.push(kind, tag);
+  }));
+  return {
+    where: conditions.length > 0 ? conditions.join(' AND ') : '1 = 1',
+    params,
+    orderBy: ORDER_BY[filters.sort] || ORDER_BY.title
+  };
+}
+
+// Add the ranges and tag lists to a product row. `tags` holds the tag names
+// of the product by kind, e.g. { effects: ['Relaxed'], ... }.
+function describeProduct(product, tags = {}) {
+  const range = field => (product[`${field}_min`] == null && product[`${field}_max`] == null
+    ? null
+    : { min: product[`${field}_min`], max: product[`${field}_max`] });
+  return {
+    ...product,
+    strain_type: product.strain_type || '',
+    thcRange: range('thc'),
+    cbdRange: range('cbd'),
+    effectList: tags.effects || [],
+    aromaList: tags.aroma || [],
+    terpeneList: tags.terpenes || []
+  };
+}
+
+// The choices of the filter panel from rows { kind, name } of the tags in
+// use, sorted by name.
+function showroomFacets(tagRows) {
+  const facets = {};
+  TAG_FIELDS.forEach(kind => {
+    facets[kind] = tagRows
+      .filter(row => row.kind === kind)
+      .map(row => row.name)
+      .sort((a, b) => a.localeCompare(b, 'de'));
+  });
+  return facets;
+}
+
+module.exports = {
+  STRAIN_TYPES,
+  SHOWROOM_SORTS,
+  parseShowroomFilters,
+  showroomQueryString,
+  showroomSql,
+  describeProduct,
+  showroomFacets
+};
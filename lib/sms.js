@@ -0,0 +1,85 @@
+// lib/sms.js
+//
+// Outgoing text messages through a pluggable transport, selected with the
+// SMS_TRANSPORT environment variable:
+//
+//  - 'http'    posts every message as JSON { from, to, text } to an SMS
+//              gateway at SMS_HTTP_URL, with SMS_HTTP_TOKEN as bearer token,
+//  - 'file'    writes every message as a text file into SMS_DIR, for local
+//              testing without a gateway,
+//  - 'console' (default) prints every message to the server log.
+//
+// SMS_FROM sets the sender name. All transports expose the same
+// send({ to, text }) method returning a Promise, like lib/mailer.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Praxis';
+
+function httpTransport(env) {
+  return {
+    name: 'http',
+    send: async message => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (env.SMS_HTTP_TOKEN) headers.Authorization = `Bearer ${env.SMS_HTTP_TOKEN}`;
+      const res = await fetch(env.SMS_HTTP_URL, { method: 'POST', headers, body: JSON.stringify(message) });
+      if (!res.ok) {
+        throw new Error(`SMS-Gateway antwortet mit Status ${res.status}`);
+      }
+      return {};
+    }
+  };
+}
+
+function formatSms(message) {
+  return [`Date: ${new Date().toUTCString()}`, `From: ${message.from}`, `To: ${message.to}`, '', message.text, ''].join('\n');
+}
+
+function fileTransport(dir) {
+  let counter = 0;
+  return {
+    name: 'file',
+    send: message => {
+      counter += 1;
+      const file = path.join(dir, `${Date.now()}-${process.pid}-${counter}.txt`);
+      return fs.promises.mkdir(dir, { recursive: true })
+        .then(() => fs.promises.writeFile(file, formatSms(message), 'utf8'))
+        .then(() => ({ file }));
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    send: message => {
+      console.log(`[sms]\n${formatSms(message)}`);
+      return Promise.resolve({});
+    }
+  };
+}
+
+// Create the SMS sender configured by `env` (usually process.env).
+// `defaultDir` is used by the file transport when SMS_DIR is not set.
+function createSmsSender(env, defaultDir) {
+  const kind = (env.SMS_TRANSPORT || 'console').toLowerCase();
+  let transport;
+  if (kind === 'http' && env.SMS_HTTP_URL) {
+    transport = httpTransport(env);
+  } else if (kind === 'file') {
+    transport = fileTransport(env.SMS_DIR || defaultDir);
+  } else {
+    if (kind !== 'console') {
+      console.warn(`SMS_TRANSPORT „${env.SMS_TRANSPORT}“ ist unbekannt oder unvollständig konfiguriert, SMS werden im Log ausgegeben.`);
+    }
+    transport = consoleTransport();
+  }
+  const from = env.SMS_FROM || DEFAULT_FROM;
+  return {
+    transport: transport.name,
+    send: ({ to, text }) => transport.send({ from, to, text })
+  };
+}
+
+module.exports = { createSmsSender };
@@ -0,0 +1,64 @@
+// lib/tokens.js
+//
+// Signed, expiring tokens for links sent by e-mail (password reset, e-mail
+// verification). A token carries the purpose, the user id, the expiry time
+// and a fingerprint of the user state it was issued for, e.g. the current
+// password hash or e-mail address. Once that state changes the token no
+// longer matches, which makes password reset links single-use. Tokens are
+// signed with HMAC-SHA256; nothing is stored on the server.
+
+const crypto = require('crypto');
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function sign(secret, data) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+function fingerprintOf(value) {
+  return base64url(crypto.createHash('sha256').update(String(value || '')).digest()).slice(0, 22);
+}
+
+// Create a token for `purpose` and `userId` that is valid for `ttlMs`
+// milliseconds and bound to `state`.
+function createToken(secret, purpose, userId, state, ttlMs) {
+  const payload = base64url(JSON.stringify({
+    p: purpose,
+    u: userId,
+    e: Date.now() + ttlMs,
+    f: fingerprintOf(state)
+  }));
+  return `${payload}.${sign(secret, payload)}`;
+}
+
+// Check signature, purpose and expiry of a token. Returns the user id and
+// fingerprint ({ userId, fingerprint }) or null if the token is invalid.
+// The caller still has to compare the fingerprint with matchesState().
+function readToken(secret, token, purpose) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2) return null;
+  const expected = Buffer.from(sign(secret, parts[0]));
+  const given = Buffer.from(parts[1]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64url(parts[0]).toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!data || data.p !== purpose || typeof data.e !== 'number' || data.e < Date.now()) return null;
+  return { userId: data.u, fingerprint: data.f };
+}
+
+// Whether a token read with readToken() was issued for `state`.
+function matchesState(tokenData, state) {
+  return Boolean(tokenData) && tokenData.fingerprint === fingerprintOf(state);
+}
+
+module.exports = { createToken, readToken, matchesState };
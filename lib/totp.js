@@ -0,0 +1,114 @@
+// lib/totp.js
+//
+// Time-based one-time passwords (TOTP, RFC 6238) as used by authenticator
+// apps: HMAC-SHA1 over 30-second time steps, 6 digits, base32 encoded
+// secrets. Also creates and hashes the one-time recovery codes that can be
+// used instead of a code from the app.
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// New random secret (160 bits) in base32.
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function timeStep(now) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+// The code for `secret` at time step `step`.
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const number = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(number).padStart(DIGITS, '0');
+}
+
+// Check `code` against the current time step and one step before and after
+// to allow for clock drift. Returns the matching time step or null. Steps
+// up to `lastStep` are refused so that a code cannot be used twice.
+function verifyCode(secret, code, now, lastStep) {
+  const value = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(value)) return null;
+  const current = timeStep(now);
+  for (let step = current - 1; step <= current + 1; step++) {
+    if (lastStep && step <= lastStep) continue;
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(value))) return step;
+  }
+  return null;
+}
+
+// otpauth:// URL for the QR code shown to authenticator apps.
+function otpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// New set of recovery codes, formatted as 'xxxxx-xxxxx'.
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).toLowerCase().slice(0, 10);
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+// Hash of a recovery code as stored in the database. Case, spaces and
+// dashes do not matter when a code is entered.
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z2-7]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  generateSecret,
+  codeForStep,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
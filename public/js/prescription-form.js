@@ -0,0 +1,54 @@
+// Client-side script for the prescription form. The button with the id
+// "add-medication-item" appends another empty medication item by copying
+// the last item in #medication-items. The server accepts any number of
+// items; rows left empty are ignored. Next to every strain picker the THC
+// and CBD values of the chosen product are shown.
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('medication-items');
+  const button = document.getElementById('add-medication-item');
+  if (!container) return;
+
+  function showStrainInfo(select) {
+    const info = select.parentNode.querySelector('.strain-info');
+    if (!info) return;
+    const option = select.options[select.selectedIndex];
+    if (!option || !option.value) {
+      info.textContent = '';
+      return;
+    }
+    const parts = [];
+    if (option.dataset.thc) parts.push(`THC ${option.dataset.thc}`);
+    if (option.dataset.cbd) parts.push(`CBD ${option.dataset.cbd}`);
+    info.textContent = parts.join(' · ');
+  }
+
+  container.querySelectorAll('.strain-picker').forEach(showStrainInfo);
+  container.addEventListener('change', event => {
+    if (event.target.classList.contains('strain-picker')) {
+      showStrainInfo(event.target);
+    }
+  });
+
+  if (!button) return;
+  button.addEventListener('click', () => {
+    const items = container.querySelectorAll('.medication-item');
+    const last = items[items.length - 1];
+    if (!last) return;
+    const copy = last.cloneNode(true);
+    copy.querySelectorAll('input').forEach(input => {
+      input.value = '';
+    });
+    copy.querySelectorAll('select').forEach(select => {
+      select.selectedIndex = 0;
+    });
+    copy.querySelectorAll('.strain-info').forEach(info => {
+      info.textContent = '';
+    });
+    const legend = copy.querySelector('legend');
+    if (legend) legend.textContent = `${items.length + 1}. Verordnung`;
+    container.appendChild(copy);
+    const first = copy.querySelector('input');
+    if (first) first.focus();
+  });
+});
@@ -0,0 +1,75 @@
+// Client-side tag picker of the product form. Every text field with the
+// attribute data-tag-picker holds a comma-separated list of tags; the
+// script shows the tags as chips with a remove button and replaces the
+// field with an input that suggests the known tags from the field's
+// datalist. Enter, a comma or choosing a suggestion adds the tag. The
+// original field stays in the form (hidden) so that the server receives
+// the same comma-separated list as without JavaScript.
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('input[data-tag-picker]').forEach(field => {
+    const picker = document.createElement('div');
+    picker.className = 'tag-picker';
+    const chips = document.createElement('span');
+    const entry = document.createElement('input');
+    entry.type = 'text';
+    entry.placeholder = field.placeholder;
+    entry.setAttribute('aria-label', field.labels.length > 0 ? field.labels[0].textContent : field.name);
+    if (field.getAttribute('list')) entry.setAttribute('list', field.getAttribute('list'));
+    field.removeAttribute('list');
+    field.type = 'hidden';
+    if (field.labels.length > 0) field.labels[0].htmlFor = '';
+    picker.appendChild(chips);
+    picker.appendChild(entry);
+    field.parentNode.insertBefore(picker, field);
+
+    let tags = field.value.split(',').map(tag => tag.trim()).filter(Boolean);
+
+    function render() {
+      field.value = tags.join(', ');
+      chips.textContent = '';
+      tags.forEach((tag, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag';
+        chip.textContent = tag;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'tag-remove';
+        remove.textContent = '×';
+        remove.setAttribute('aria-label', `${tag} entfernen`);
+        remove.addEventListener('click', () => {
+          tags.splice(index, 1);
+          render();
+          entry.focus();
+        });
+        chip.appendChild(remove);
+        chips.appendChild(chip);
+      });
+    }
+
+    function add(text) {
+      text.split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+        if (!tags.some(t => t.toLowerCase() === tag.toLowerCase())) tags.push(tag);
+      });
+      entry.value = '';
+      render();
+    }
+
+    entry.addEventListener('keydown', event => {
+      if (event.key === 'Enter' || event.key === ',') {
+        event.preventDefault();
+        add(entry.value);
+      } else if (event.key === 'Backspace' && entry.value === '' && tags.length > 0) {
+        tags.pop();
+        render();
+      }
+    });
+    // Choosing a suggestion from the datalist fills the input at once.
+    entry.addEventListener('input', event => {
+      if (event.inputType === 'insertReplacementText' || !event.inputType) add(entry.value);
+    });
+    // Text typed but not confirmed is kept when the form is submitted.
+    field.form.addEventListener('submit', () => add(entry.value));
+    render();
+  });
+});
@@ -1,31 +1,100 @@
-// Client-side script to poll for unread messages and update the badge in the navigation.
-// The badge element must have the id "unread-badge". The script queries the
-// endpoint /api/unread-count every 30 seconds and toggles the badge visibility
-// based on the returned count.
+// Client-side script for the unread badge and new-message notifications.
+// The badge element must have the id "unread-badge". The script listens to
+// the event stream /api/messages/stream, which pushes the unread count
+// ('unread' events) and new messages ('message' events, shown as toast
+// notifications). Browsers without EventSource, or when the stream cannot
+// be opened, fall back to polling /api/unread-count every 30 seconds.
 
 document.addEventListener('DOMContentLoaded', () => {
   const badge = document.getElementById('unread-badge');
   if (!badge) return;
 
+  const POLL_INTERVAL = 30000;
+  const TOAST_DURATION = 8000;
+  let pollTimer = null;
+
+  function showCount(value) {
+    const count = value ? parseInt(value, 10) : 0;
+    if (count > 0) {
+      badge.textContent = count;
+      badge.style.display = 'inline-block';
+    } else {
+      badge.style.display = 'none';
+    }
+  }
+
   async function updateBadge() {
     try {
       const res = await fetch('/api/unread-count');
       if (!res.ok) return;
       const data = await res.json();
-      const count = data && data.count ? parseInt(data.count, 10) : 0;
-      if (count > 0) {
-        badge.textContent = count;
-        badge.style.display = 'inline-block';
-      } else {
-        badge.style.display = 'none';
-      }
+      showCount(data && data.count);
     } catch (err) {
       // Silently ignore errors; the badge will not be updated
       console.error('Failed to fetch unread count', err);
     }
   }
 
-  // Initial fetch and periodic updates
-  updateBadge();
-  setInterval(updateBadge, 30000);
-});
\ No newline at end of file
+  function startPolling() {
+    if (pollTimer) return;
+    updateBadge();
+    pollTimer = setInterval(updateBadge, POLL_INTERVAL);
+  }
+
+  function toastContainer() {
+    let container = document.getElementById('toast-container');
+    if (!container) {
+      container = document.createElement('div');
+      container.id = 'toast-container';
+      container.setAttribute('role', 'status');
+      container.setAttribute('aria-live', 'polite');
+      document.body.appendChild(container);
+    }
+    return container;
+  }
+
+  function showToast(message) {
+    const toast = document.createElement('a');
+    toast.className = 'toast';
+    toast.href = message.url || '/inbox';
+    const title = document.createElement('strong');
+    title.textContent = 'Neue Nachricht';
+    const subject = document.createElement('span');
+    subject.textContent = message.subject || '';
+    toast.appendChild(title);
+    toast.appendChild(subject);
+    toastContainer().appendChild(toast);
+    setTimeout(() => toast.remove(), TOAST_DURATION);
+  }
+
+  function parse(event) {
+    try {
+      return JSON.parse(event.data);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  if (!window.EventSource) {
+    startPolling();
+    return;
+  }
+
+  const source = new EventSource('/api/messages/stream');
+  source.addEventListener('unread', event => {
+    const data = parse(event);
+    if (data) showCount(data.count);
+  });
+  source.addEventListener('message', event => {
+    const data = parse(event);
+    if (data) showToast(data);
+  });
+  // The browser reconnects by itself after network errors. A closed stream
+  // means the server refused it (e.g. the session has expired), so the
+  // page keeps its badge up to date by polling instead.
+  source.addEventListener('error', () => {
+    if (source.readyState === EventSource.CLOSED) {
+      startPolling();
+    }
+  });
+});
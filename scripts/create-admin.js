@@ -0,0 +1,64 @@
+// scripts/create-admin.js
+//
+// Create the initial admin account from the command line instead of the
+// first-run setup page:
+//
+//   node scripts/create-admin.js <Benutzername> <E-Mail>
+//
+// The password is taken from ADMIN_PASSWORD or generated and printed. In
+// both cases the admin has to choose a new password at the first login.
+// The database must have been created by starting the server once.
+require('dotenv').config();
+const path = require('path');
+const bcrypt = require('bcrypt');
+const sqlite3 = require('sqlite3');
+const { passwordErrors, generatePassword } = require('../lib/passwords');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..');
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, 'data.db');
+
+function fail(message) {
+  console.error(`[create-admin] ${message}`);
+  process.exit(1);
+}
+
+(async () => {
+  const [username, email] = process.argv.slice(2);
+  if (!username || !email) {
+    fail('Aufruf: node scripts/create-admin.js <Benutzername> <E-Mail>');
+  }
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+    fail('Bitte geben Sie eine gültige E-Mail-Adresse an.');
+  }
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || generatePassword();
+  const errors = passwordErrors(password, { strong: true });
+  if (errors.length > 0) {
+    fail(`ADMIN_PASSWORD: ${errors.join(' ')}`);
+  }
+  const hash = await bcrypt.hash(password, 10);
+  const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, err => {
+    if (err) fail(`Datenbank ${DB_PATH} kann nicht geöffnet werden. Bitte starten Sie den Server einmal, um sie anzulegen.`);
+  });
+  db.get('SELECT COUNT(*) AS count FROM users WHERE is_admin = 1', [], (err, row) => {
+    if (err) fail(`Fehler beim Lesen der Benutzer: ${err.message}`);
+    if (row.count > 0) fail('Es gibt bereits ein Admin-Konto.');
+    db.run(
+      'INSERT INTO users (username, email, password_hash, is_admin, approved, must_change_password) VALUES (?, ?, ?, 1, 1, 1)',
+      [username, email, hash],
+      err2 => {
+        if (err2) {
+          fail(/UNIQUE/.test(err2.message)
+            ? 'Benutzername oder E-Mail existiert bereits.'
+            : `Fehler beim Anlegen des Admin-Kontos: ${err2.message}`);
+        }
+        console.log(`[create-admin] Admin-Konto „${username}“ angelegt.`);
+        if (generated) {
+          console.log(`[create-admin] Vorläufiges Passwort: ${password}`);
+        }
+        console.log('[create-admin] Das Passwort muss bei der ersten Anmeldung geändert werden.');
+        db.close();
+      }
+    );
+  });
+})();
@@ -0,0 +1,45 @@
+// scripts/encrypt-patient-data.js
+//
+// Encrypt the patient fields of existing prescriptions, private
+// prescription questionnaires and patient profiles, or re-encrypt them
+// after a key rotation, without starting the server:
+//
+//   PATIENT_DATA_KEY=<neu> PATIENT_DATA_PREVIOUS_KEYS=<alt> node scripts/encrypt-patient-data.js
+//
+// The server does the same at every start. Once no record fails, the
+// previous keys can be removed from the environment.
+require('dotenv').config();
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { loadFieldKeys, createFieldCipher } = require('../lib/field-crypto');
+const { encryptPatientFields } = require('../db/migrations/encrypt-patient-fields');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..');
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, 'data.db');
+
+function fail(message) {
+  console.error(`[encrypt-patient-data] ${message}`);
+  process.exit(1);
+}
+
+let cipher;
+try {
+  cipher = createFieldCipher(loadFieldKeys(process.env));
+} catch (err) {
+  fail(err.message);
+}
+if (!cipher.enabled) {
+  console.warn('[encrypt-patient-data] PATIENT_DATA_KEY ist nicht gesetzt, verschlüsselte Patientendaten werden wieder im Klartext gespeichert.');
+}
+const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, err => {
+  if (err) fail(`Datenbank ${DB_PATH} kann nicht geöffnet werden.`);
+});
+encryptPatientFields(db, cipher)
+  .then(result => {
+    console.log(`[encrypt-patient-data] ${result.rows} Datensätze geprüft, ${result.updated} neu verschlüsselt.`);
+    if (result.failed > 0) {
+      fail(`${result.failed} Datensätze konnten nicht entschlüsselt werden. Fehlt ein alter Schlüssel in PATIENT_DATA_PREVIOUS_KEYS?`);
+    }
+    db.close();
+  })
+  .catch(err => fail(err.message));
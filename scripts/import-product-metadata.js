@@ -0,0 +1,32 @@
+// scripts/import-product-metadata.js
+//
+// Convert the cannabis metadata of existing products (THC/CBD text such
+// as '27%', comma-separated effects, aroma and terpenes) into the numeric
+// columns and tag tables without starting the server:
+//
+//   node scripts/import-product-metadata.js
+//
+// The server does the same at every start; products that have already
+// been converted are left alone.
+require('dotenv').config();
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { normalizeProductMetadata } = require('../db/migrations/normalize-product-metadata');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..');
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, 'data.db');
+
+function fail(message) {
+  console.error(`[import-product-metadata] ${message}`);
+  process.exit(1);
+}
+
+const db = new sqlite3.Database(DB_PATH, sqlite3.OPEN_READWRITE, err => {
+  if (err) fail(`Datenbank ${DB_PATH} kann nicht geöffnet werden.`);
+});
+normalizeProductMetadata(db)
+  .then(result => {
+    console.log(`[import-product-metadata] ${result.products} Sorten geprüft, THC/CBD von ${result.ranges} und Tags von ${result.tagged} Sorten übernommen.`);
+    db.close();
+  })
+  .catch(err => fail(err.message));
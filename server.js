@@ -8,11 +8,84 @@ const helmet = require('helmet');
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const multer = require('multer');
+const { layoutFieldsFor, normalizeLayout, parseLayoutForm } = require('./lib/prescription-layout');
+const { renderPrescriptionsPdf, renderCalibrationPdf } = require('./lib/prescription-pdf');
+const {
+  ADMINISTRATION_FORMS,
+  DISPENSING_FORMS,
+  DEFAULT_SINGLE_DOSE,
+  DEFAULT_DAILY_DOSE,
+  formatGermanNumber,
+  parseGermanNumber,
+  buildMedicationLine,
+  parseLegacyMedicationLine,
+  parseItemsFromBody,
+  applyProductSnapshots,
+  medicationLines,
+  prescriptionSheets
+} = require('./lib/prescription-items');
+const { loadLimits, checkFormats, checkItemLimits, checkRollingLimit } = require('./lib/prescription-limits');
+const { createMailer } = require('./lib/mailer');
+const { createSmsSender } = require('./lib/sms');
+const { createToken, readToken, matchesState } = require('./lib/tokens');
+const {
+  LEGACY_ADMIN_LOGIN,
+  LEGACY_ADMIN_PASSWORD,
+  passwordErrors
+} = require('./lib/passwords');
+const { loadThrottleSettings, lockRemaining, recordFailure, lockMessage } = require('./lib/login-throttle');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('./lib/totp');
+const { createZip } = require('./lib/zip');
+const { createEventHub } = require('./lib/event-stream');
+const { loadFieldKeys, createFieldCipher } = require('./lib/field-crypto');
+const { createJobRunner } = require('./lib/job-runner');
+const { createOutboxDelivery } = require('./lib/outbox');
+const { DEFAULT_BUSY_TIMEOUT_MS, createTransactionRunner } = require('./lib/db-transaction');
+const {
+  STRAIN_TYPES,
+  SHOWROOM_SORTS,
+  parseShowroomFilters,
+  showroomQueryString,
+  showroomSql,
+  describeProduct,
+  showroomFacets
+} = require('./lib/showroom-filters');
+const { TAG_KINDS, formatPercent, splitTags } = require('./lib/product-metadata');
+const { PLACEHOLDERS, unknownPlaceholders, renderTemplate, renderMarkdown } = require('./lib/newsletter-template');
+const {
+  PATIENT_FIELDS,
+  PRIVATE_PRESCRIPTION_FIELDS,
+  PATIENT_PROFILE_FIELDS,
+  patientKey,
+  encryptPatientFields
+} = require('./db/migrations/encrypt-patient-fields');
+const { normalizeProductMetadata, setProductTags } = require('./db/migrations/normalize-product-metadata');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Quantity and dose limits for prescriptions, configurable via
+// PRESCRIPTION_MAX_* environment variables (see lib/prescription-limits.js).
+const PRESCRIPTION_LIMITS = loadLimits(process.env);
+
+// Limits for failed logins, configurable via LOGIN_* environment variables
+// (see lib/login-throttle.js).
+const LOGIN_THROTTLE = loadThrottleSettings(process.env);
+
+// Encryption of the patient fields of prescriptions with the key from
+// PATIENT_DATA_KEY (see lib/field-crypto.js). Existing rows are migrated
+// at startup, see startServer().
+const PATIENT_FIELD_CIPHER = createFieldCipher(loadFieldKeys(process.env));
+
 // Trust the first proxy.  This is important when deploying behind a
 // reverse proxy (such as on Render) so that secure cookies work properly.
 app.set('trust proxy', 1);
@@ -31,11 +104,46 @@ const UPLOAD_DIR  = process.env.UPLOAD_DIR  || path.join(DATA_DIR, 'uploads');
 // if the directory is missing on first upload.
 fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
+// Secret for signing session cookies and the tokens in e-mailed links.
+// TOKEN_SECRET may be set to use a separate secret for the tokens. In
+// production (NODE_ENV=production) the server refuses to start with the
+// default secret or the placeholder from the example .env file, see
+// startServer().
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const DEFAULT_SESSION_SECRET = 'replace_this_secret';
+const INSECURE_SESSION_SECRETS = [DEFAULT_SESSION_SECRET, 'change_this_secret'];
+const SESSION_SECRET = process.env.SESSION_SECRET || DEFAULT_SESSION_SECRET;
+const TOKEN_SECRET = process.env.TOKEN_SECRET || SESSION_SECRET;
+
+// Outgoing mail (password reset, e-mail verification). The transport is
+// chosen with MAIL_TRANSPORT (see lib/mailer.js); the file transport
+// writes to MAIL_DIR, by default DATA_DIR/mail.
+const mailer = createMailer(process.env, path.join(DATA_DIR, 'mail'));
+
+// Outgoing SMS (message notifications). The transport is chosen with
+// SMS_TRANSPORT (see lib/sms.js); the file transport writes to SMS_DIR,
+// by default DATA_DIR/sms.
+const smsSender = createSmsSender(process.env, path.join(DATA_DIR, 'sms'));
+
+// Open Server-Sent Event streams of the logged-in users, used to push new
+// messages and unread counts (see /api/messages/stream).
+const messageEvents = createEventHub();
+
+// Background jobs, e.g. sending scheduled newsletter campaigns. They are
+// started once the server listens.
+const jobs = createJobRunner({ intervalMs: 30000 });
+
 // Open the SQLite database at the configured path.  The file will be
 // created automatically if it does not exist.  Note that using DATA_DIR
 // ensures the DB file is stored on a persistent volume when configured.
 const db = new sqlite3.Database(DB_PATH);
 
+// Steps that must succeed or fail together run in a transaction on a
+// connection of their own (see lib/db-transaction.js); meanwhile writes on
+// the shared connection wait for the lock instead of failing.
+db.configure('busyTimeout', DEFAULT_BUSY_TIMEOUT_MS);
+const { runInTransaction } = createTransactionRunner({ path: DB_PATH });
+
 // Configure file upload for product images using multer. Images are stored
 // in the public/images directory. Filenames are generated uniquely to
 // avoid collisions. Only basic filtering is done here; additional
@@ -51,6 +159,13 @@ const imageStorage = multer.diskStorage({
   }
 });
 const upload = multer({ storage: imageStorage });
+// The product form uploads the main image and up to PRODUCT_GALLERY_MAX
+// further images for the gallery at once.
+const PRODUCT_GALLERY_MAX = 10;
+const productUpload = upload.fields([
+  { name: 'imageFile', maxCount: 1 },
+  { name: 'galleryFiles', maxCount: PRODUCT_GALLERY_MAX }
+]);
 
 // Create tables if they do not exist. Using SERIALIZE ensures the
 // statements run sequentially.
@@ -68,6 +183,14 @@ db.serialize(() => {
     is_admin INTEGER DEFAULT 0,
     approved INTEGER DEFAULT 0,
     newsletter_opt_in INTEGER DEFAULT 0,
+    blocked INTEGER DEFAULT 0,
+    rejected INTEGER DEFAULT 0,
+    email_verified INTEGER DEFAULT 0,
+    email_verified_at DATETIME,
+    must_change_password INTEGER DEFAULT 0,
+    totp_secret TEXT,
+    totp_enabled INTEGER DEFAULT 0,
+    totp_last_step INTEGER,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
   )`);
   db.run(`CREATE TABLE IF NOT EXISTS products (
@@ -81,7 +204,9 @@ db.serialize(() => {
 });
 
 // Extend the products table with additional fields if they do not already exist.
-function extendProductSchema() {
+// The optional callback runs once all missing columns have been added.
+function extendProductSchema(callback) {
+  const done = () => { if (callback) callback(); };
   /*
    * Dynamically extend the products table with additional metadata
    * columns if they do not already exist. We query the existing
@@ -89,89 +214,340 @@ function extendProductSchema() {
    * with a DEFAULT value to ensure existing rows receive empty
    * strings. Without the DEFAULT, older rows would store NULL
    * values and subsequent queries might fail when reading the data.
+   * `active` marks the products that may be chosen on prescriptions;
+   * existing products start out active. `strain_type` is one of the keys
+   * of STRAIN_TYPES (indica, sativa, hybrid) or empty; `genetics` names the
+   * parent strains, e.g. 'OG Kush × Lost Sailor'. The numeric THC/CBD
+   * ranges and the tag tables are added by normalizeProductMetadata() at
+   * startup.
    */
-  const desiredColumns = ['thc', 'cbd', 'effects', 'aroma', 'terpenes'];
+  const desiredColumns = ['thc', 'cbd', 'effects', 'aroma', 'terpenes', 'active', 'strain_type', 'genetics'];
+  const columnTypes = {
+    active: 'INTEGER DEFAULT 1'
+  };
   db.all('PRAGMA table_info(products)', (err, rows) => {
     if (err) {
       console.error('Error reading table info', err.message);
-      return;
+      return done();
     }
     const existing = rows.map(r => r.name);
-    desiredColumns.forEach(col => {
-      if (!existing.includes(col)) {
-        db.run(
-          `ALTER TABLE products ADD COLUMN ${col} TEXT DEFAULT ''`,
-          [],
-          err2 => {
-            if (err2 && !/duplicate column name/i.test(err2.message)) {
-              console.error('Error adding column', col, err2.message);
-            }
+    const missing = desiredColumns.filter(col => !existing.includes(col));
+    if (missing.length === 0) return done();
+    let pending = missing.length;
+    missing.forEach(col => {
+      db.run(
+        `ALTER TABLE products ADD COLUMN ${col} ${columnTypes[col] || "TEXT DEFAULT ''"}`,
+        [],
+        err2 => {
+          if (err2 && !/duplicate column name/i.test(err2.message)) {
+            console.error('Error adding column', col, err2.message);
           }
-        );
-      }
+          if (--pending === 0) done();
+        }
+      );
     });
   });
 }
 
-// Call the schema extension function after tables are created.
-extendProductSchema();
-
 // Extend the users table with additional columns if they do not already exist.  When the
 // schema is upgraded, this function inspects the current column names via PRAGMA
 // and adds the missing ones.  'username' and 'phone' are TEXT columns, while
-// 'newsletter_opt_in' is an INTEGER with a default of 0 (false).
-function extendUserSchema() {
-  const desiredColumns = ['username', 'phone', 'newsletter_opt_in'];
+// 'newsletter_opt_in' is an INTEGER with a default of 0 (false).  The optional
+// callback runs once all missing columns have been added.
+function extendUserSchema(callback) {
+  const done = () => { if (callback) callback(); };
+  const desiredColumns = ['username', 'phone', 'newsletter_opt_in', 'blocked', 'rejected', 'email_verified', 'email_verified_at', 'must_change_password',
+    'totp_secret', 'totp_enabled', 'totp_last_step', 'notify_email', 'notify_sms', 'newsletter_requested_at'];
   db.all('PRAGMA table_info(users)', (err, rows) => {
     if (err) {
       console.error('Error reading users table info', err.message);
-      return;
+      return done();
     }
     const existing = rows.map(r => r.name);
-    desiredColumns.forEach(col => {
-      if (!existing.includes(col)) {
-        let type = 'TEXT';
-        if (col === 'newsletter_opt_in') type = 'INTEGER DEFAULT 0';
-        db.run(
-          `ALTER TABLE users ADD COLUMN ${col} ${type}`,
-          [],
-          err2 => {
-            if (err2 && !/duplicate column name/i.test(err2.message)) {
-              console.error('Error adding column', col, err2.message);
-            }
+    const missing = desiredColumns.filter(col => !existing.includes(col));
+    let pending = missing.length;
+    if (pending === 0) return done();
+    missing.forEach(col => {
+      let type = 'TEXT';
+      if (col === 'newsletter_opt_in' || col === 'blocked' || col === 'rejected' || col === 'email_verified' || col === 'must_change_password' || col === 'totp_enabled' ||
+        col === 'notify_email' || col === 'notify_sms') type = 'INTEGER DEFAULT 0';
+      if (col === 'email_verified_at' || col === 'newsletter_requested_at') type = 'DATETIME';
+      if (col === 'totp_last_step') type = 'INTEGER';
+      db.run(
+        `ALTER TABLE users ADD COLUMN ${col} ${type}`,
+        [],
+        err2 => {
+          if (err2 && !/duplicate column name/i.test(err2.message)) {
+            console.error('Error adding column', col, err2.message);
           }
-        );
-      }
+          pending -= 1;
+          if (pending === 0) done();
+        }
+      );
     });
   });
 }
 
 // Create a messages table for storing in-app and newsletter messages.  Each message
 // includes the recipient ID, optional sender ID, subject, body, and timestamps for
-// creation and when it was read.  The table is created if it does not exist.
-function ensureMessagesTable() {
-  db.run(
-    `CREATE TABLE IF NOT EXISTS messages (
+// creation and when it was read.  Messages are grouped into conversations by
+// thread_id, the id of the first message of the thread.  Messages written by
+// patients to the practice have no recipient (recipient_id NULL) and show up
+// in the admin inbox.  Newsletter messages refer to their campaign and may be
+// written in Markdown (body_format 'markdown').  The table is created if it
+// does not exist; older tables with a mandatory recipient and without threads
+// are rebuilt, tables without the newsletter columns are extended.
+const MESSAGE_COLUMNS = `
       id INTEGER PRIMARY KEY AUTOINCREMENT,
-      recipient_id INTEGER NOT NULL,
+      recipient_id INTEGER,
       sender_id INTEGER,
+      thread_id INTEGER,
       subject TEXT,
       body TEXT,
+      body_format TEXT DEFAULT 'text',
+      campaign_id INTEGER,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      read_at DATETIME
-    )`
-  );
+      read_at DATETIME`;
+
+function ensureMessagesTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS messages (${MESSAGE_COLUMNS})`, err => {
+    if (err) {
+      console.error('Error creating messages table', err.message);
+      return;
+    }
+    db.all('PRAGMA table_info(messages)', (err2, rows) => {
+      if (err2) {
+        console.error('Error reading messages table info', err2.message);
+        return;
+      }
+      const recipient = rows.find(r => r.name === 'recipient_id');
+      const hasThreads = rows.some(r => r.name === 'thread_id');
+      if (hasThreads && !recipient.notnull) {
+        db.run('CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages (thread_id)');
+        if (!rows.some(r => r.name === 'body_format')) {
+          db.run("ALTER TABLE messages ADD COLUMN body_format TEXT DEFAULT 'text'");
+        }
+        if (!rows.some(r => r.name === 'campaign_id')) {
+          db.run('ALTER TABLE messages ADD COLUMN campaign_id INTEGER', () => {
+            db.run('CREATE INDEX IF NOT EXISTS idx_messages_campaign ON messages (campaign_id)');
+          });
+        } else {
+          db.run('CREATE INDEX IF NOT EXISTS idx_messages_campaign ON messages (campaign_id)');
+        }
+        return;
+      }
+      // Each step only runs when the previous one succeeded, so the old
+      // table is never dropped before its rows have been copied.
+      const steps = [
+        'BEGIN',
+        `CREATE TABLE messages_threaded (${MESSAGE_COLUMNS})`,
+        `INSERT INTO messages_threaded (id, recipient_id, sender_id, thread_id, subject, body, created_at, read_at)
+          SELECT id, recipient_id, sender_id, ${hasThreads ? 'COALESCE(thread_id, id)' : 'id'}, subject, body, created_at, read_at FROM messages`,
+        'DROP TABLE messages',
+        'ALTER TABLE messages_threaded RENAME TO messages',
+        'CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages (thread_id)',
+        'CREATE INDEX IF NOT EXISTS idx_messages_campaign ON messages (campaign_id)',
+        'COMMIT'
+      ];
+      const next = index => {
+        if (index >= steps.length) return;
+        db.run(steps[index], err3 => {
+          if (err3) {
+            console.error('Error migrating messages table', err3.message);
+            return db.run('ROLLBACK', () => {});
+          }
+          next(index + 1);
+        });
+      };
+      next(0);
+    });
+  });
+}
+
+// Create the log of user management actions. Every approval, rejection,
+// block, role change, contact data change or deletion done by an admin is
+// recorded with the admin, the action and the reason given.
+function ensureUserActionsTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS user_admin_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    admin_id INTEGER,
+    action TEXT NOT NULL,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Create the table of failed login attempts. Failures are counted per
+// account ('account', subject is the user id), per unknown identifier
+// ('identifier', subject is the lower-cased name) and per IP address
+// ('ip'). Times are stored in milliseconds since the epoch.
+function ensureLoginFailuresTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS login_failures (
+    kind TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    failures INTEGER NOT NULL DEFAULT 0,
+    last_failure_at INTEGER,
+    locked_until INTEGER,
+    PRIMARY KEY (kind, subject)
+  )`);
+}
+
+// Create the table of one-time recovery codes for two-factor
+// authentication. Only SHA-256 hashes of the codes are stored.
+function ensureRecoveryCodesTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Create the audit log of access to patient, prescription and user data.
+// The log is append-only: triggers refuse every UPDATE and DELETE. The
+// actor's name is copied so that entries stay readable after an account
+// has been deleted.
+function ensureAuditLogTable() {
+  db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      actor_id INTEGER,
+      actor_name TEXT,
+      action TEXT NOT NULL,
+      entity TEXT NOT NULL,
+      entity_id TEXT,
+      ip TEXT,
+      details TEXT
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity, entity_id)');
+    db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+    db.run(`CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+  });
+}
+
+// Create the table of account deletion requests. Users request the
+// deletion on "Meine Daten"; an admin carries it out with the 'delete'
+// user action, which marks the request as done. The row only keeps the
+// user id, so it outlives the account.
+function ensureDeletionRequestsTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS deletion_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME,
+    processed_by INTEGER
+  )`);
+}
+
+// Create the table of newsletter campaigns. A campaign is a 'draft' until
+// it is scheduled; the newsletter job (see sendDueCampaigns()) sends
+// 'scheduled' campaigns once scheduled_at (UTC) has passed, marking them
+// 'sending' while the messages are written and 'sent' afterwards. A failed
+// run is counted in send_failures and scheduled again, until the campaign
+// is marked 'failed' (see CAMPAIGN_MAX_SEND_FAILURES). A campaign left
+// 'sending' by a crash is scheduled again at startup; the next run only
+// writes the messages that are still missing.
+function ensureCampaignsTable() {
+  db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS campaigns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subject TEXT NOT NULL,
+      body TEXT NOT NULL,
+      body_format TEXT NOT NULL DEFAULT 'markdown',
+      status TEXT NOT NULL DEFAULT 'draft',
+      scheduled_at DATETIME,
+      sent_at DATETIME,
+      recipient_count INTEGER,
+      send_failures INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.all('PRAGMA table_info(campaigns)', (err, rows) => {
+      if (err) {
+        console.error('Error reading campaigns table info', err.message);
+        return;
+      }
+      if (!rows.some(r => r.name === 'send_failures')) {
+        db.run('ALTER TABLE campaigns ADD COLUMN send_failures INTEGER NOT NULL DEFAULT 0');
+      }
+      if (!rows.some(r => r.name === 'last_error')) {
+        db.run('ALTER TABLE campaigns ADD COLUMN last_error TEXT');
+      }
+    });
+    db.run("UPDATE campaigns SET status = 'scheduled' WHERE status = 'sending'");
+  });
+}
+
+// Create the outbox of message deliveries by e-mail and SMS. Every entry
+// is one delivery of a message to one user on one channel, with the
+// address and the text as they were when the message was queued. Pending
+// entries are sent by the 'outbox' job once next_attempt_at has passed;
+// after OUTBOX_MAX_ATTEMPTS failed attempts an entry is marked 'failed'.
+function ensureOutboxTable() {
+  db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER,
+      user_id INTEGER,
+      channel TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      subject TEXT,
+      body TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox (status, next_attempt_at)');
+  });
+}
+
+// Create the log of newsletter consents. Every request, confirmation
+// (double opt-in) and withdrawal is recorded with its time, where it came
+// from ('registration', 'settings' or the unsubscribe 'link'), the
+// campaign whose link was used and the IP address.
+function ensureNewsletterConsentsTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS newsletter_consents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    source TEXT NOT NULL,
+    campaign_id INTEGER,
+    ip TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
 }
 
-// Extend user schema and ensure messages table exists.
-extendUserSchema();
+// Extend user schema and ensure messages table exists.  The startup checks
+// (see checkAdminAccounts()) wait for the user schema to be complete.
+const userSchemaReady = new Promise(resolve => extendUserSchema(resolve));
 ensureMessagesTable();
+ensureUserActionsTable();
+ensureLoginFailuresTable();
+ensureRecoveryCodesTable();
+ensureAuditLogTable();
+ensureDeletionRequestsTable();
+ensureCampaignsTable();
+ensureOutboxTable();
+ensureNewsletterConsentsTable();
 
 // Create a prescriptions table for private prescriptions (A6). Each prescription
 // record stores the basic fields required for printing, including insurance
-// provider, patient details, doctor information and up to three medication
-// lines. The table is created if it does not exist.
-function ensurePrescriptionTable() {
+// provider, patient details and doctor information. The medication is kept
+// in prescription_items; medication1..3 only hold the text of prescriptions
+// created before items existed. The table is created if it does not exist.
+function ensurePrescriptionTable(callback) {
   db.run(`CREATE TABLE IF NOT EXISTS prescriptions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id INTEGER,
@@ -190,42 +566,283 @@ function ensurePrescriptionTable() {
     medication1 TEXT,
     medication2 TEXT,
     medication3 TEXT,
+    status TEXT DEFAULT 'submitted',
+    status_updated_at DATETIME,
+    limit_violations TEXT,
+    limit_override_reason TEXT,
+    limit_override_by INTEGER,
+    patient_key TEXT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-  )`);
+  )`, err => {
+    if (err) console.error('Error creating prescriptions table', err.message);
+    if (callback) callback();
+  });
 }
 
-// Extend the prescriptions table with additional patient address/name fields
-// if they do not already exist. This keeps existing Datenbanken kompatibel.
-function extendPrescriptionSchema() {
+// Extend the prescriptions table with additional patient address/name fields,
+// the processing status, the record of overridden quantity limits and the
+// keyed patient hash if they do not already exist. This keeps existing
+// Datenbanken kompatibel; existing rows start as 'submitted' and get their
+// patient_key from encryptPatientFields() at startup.
+function extendPrescriptionSchema(callback) {
+  const done = () => {
+    // The rolling quantity limit looks up earlier prescriptions by account
+    // or patient hash.
+    db.run('CREATE INDEX IF NOT EXISTS idx_prescriptions_user ON prescriptions (user_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_prescriptions_patient_key ON prescriptions (patient_key)', () => {
+      if (callback) callback();
+    });
+  };
   const desiredColumns = [
     'patient_first_name',
     'patient_last_name',
     'patient_address',
     'patient_zip',
-    'patient_city'
+    'patient_city',
+    'status',
+    'status_updated_at',
+    'limit_violations',
+    'limit_override_reason',
+    'limit_override_by',
+    'patient_key'
   ];
+  const columnTypes = {
+    status: "TEXT DEFAULT 'submitted'",
+    status_updated_at: 'DATETIME',
+    limit_override_by: 'INTEGER'
+  };
   db.all('PRAGMA table_info(prescriptions)', (err, rows) => {
     if (err) {
       console.error('Error reading prescriptions table info', err.message);
+      return done();
+    }
+    const existing = rows.map(r => r.name);
+    const missing = desiredColumns.filter(col => !existing.includes(col));
+    let pending = missing.length;
+    if (pending === 0) return done();
+    missing.forEach(col => {
+      db.run(
+        `ALTER TABLE prescriptions ADD COLUMN ${col} ${columnTypes[col] || 'TEXT'}`,
+        [],
+        err2 => {
+          if (err2 && !/duplicate column name/i.test(err2.message)) {
+            console.error('Error adding column to prescriptions', col, err2.message);
+          }
+          pending -= 1;
+          if (pending === 0) done();
+        }
+      );
+    });
+  });
+}
+
+// Create the status history table for prescriptions. Every status change
+// is recorded with the previous and new status, the user who made the
+// change and an optional note (e.g. the reason for a rejection).
+function ensurePrescriptionStatusHistoryTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS prescription_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    prescription_id INTEGER NOT NULL,
+    old_status TEXT,
+    new_status TEXT NOT NULL,
+    changed_by INTEGER,
+    note TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Create the table for print layout profiles. Each profile belongs to a
+// printer and stores a global X/Y offset in millimetres plus per-field
+// overrides (top/left/width/font size) as JSON; see
+// lib/prescription-layout.js. The profile marked is_default is used when
+// no profile is selected explicitly.
+function ensurePrintLayoutTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS print_layouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    offset_x REAL DEFAULT 0,
+    offset_y REAL DEFAULT 0,
+    fields TEXT,
+    is_default INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Create the table for the medication items of a prescription. Every
+// item is one Verordnung with amount, strain (linked to products where the
+// strain is known), single and daily dose, form of administration and
+// dispensing form; see lib/prescription-items.js. The product's title, THC
+// and CBD values are copied into the item when it is prescribed. After
+// creating the table, prescriptions that only have the old medication1..3
+// text columns are migrated into items.
+function ensurePrescriptionItemsTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS prescription_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    prescription_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    product_id INTEGER,
+    strain TEXT NOT NULL,
+    grams REAL NOT NULL,
+    single_dose REAL NOT NULL,
+    daily_dose REAL NOT NULL,
+    administration TEXT DEFAULT 'verdampfen/inhalieren',
+    dispensing_form TEXT DEFAULT 'unzerkleinert',
+    product_title TEXT,
+    product_thc TEXT,
+    product_cbd TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`, err => {
+    if (err) {
+      console.error('Error creating prescription_items table', err.message);
+      return;
+    }
+    db.run('CREATE INDEX IF NOT EXISTS idx_prescription_items_prescription ON prescription_items (prescription_id)');
+    extendPrescriptionItemsSchema();
+    migrateLegacyMedicationLines();
+  });
+}
+
+// Add the product snapshot columns to prescription_items tables created
+// before they existed.
+function extendPrescriptionItemsSchema() {
+  const desiredColumns = ['product_title', 'product_thc', 'product_cbd'];
+  db.all('PRAGMA table_info(prescription_items)', (err, rows) => {
+    if (err) {
+      console.error('Error reading prescription_items table info', err.message);
       return;
     }
     const existing = rows.map(r => r.name);
     desiredColumns.forEach(col => {
       if (!existing.includes(col)) {
-        db.run(
-          `ALTER TABLE prescriptions ADD COLUMN ${col} TEXT`,
-          [],
-          err2 => {
-            if (err2 && !/duplicate column name/i.test(err2.message)) {
-              console.error('Error adding column to prescriptions', col, err2.message);
-            }
+        db.run(`ALTER TABLE prescription_items ADD COLUMN ${col} TEXT`, [], err2 => {
+          if (err2 && !/duplicate column name/i.test(err2.message)) {
+            console.error('Error adding column to prescription_items', col, err2.message);
           }
-        );
+        });
       }
     });
   });
 }
 
+// Convert the medication1..3 text of prescriptions without items into
+// prescription_items. Lines that do not follow the generated format are
+// left alone; such prescriptions keep printing their original text.
+// Strains that match a product title are linked to that product.
+function migrateLegacyMedicationLines() {
+  db.all('SELECT id, title, thc, cbd FROM products', [], (errProducts, products) => {
+    const byTitle = new Map((products || []).map(p => [p.title.toLowerCase(), p]));
+    migrateLegacyMedicationRows(byTitle);
+  });
+}
+
+function migrateLegacyMedicationRows(productsByTitle) {
+  db.all(
+    `SELECT p.id, p.medication1, p.medication2, p.medication3 FROM prescriptions p
+     WHERE NOT EXISTS (SELECT 1 FROM prescription_items i WHERE i.prescription_id = p.id)
+       AND (p.medication1 IS NOT NULL OR p.medication2 IS NOT NULL OR p.medication3 IS NOT NULL)`,
+    [],
+    (err, rows) => {
+      if (err) {
+        if (!/no such table/i.test(err.message)) {
+          console.error('Error reading legacy prescription medication', err.message);
+        }
+        return;
+      }
+      rows.forEach(row => {
+        const lines = [row.medication1, row.medication2, row.medication3].filter(Boolean);
+        const items = lines.map(parseLegacyMedicationLine);
+        if (items.length === 0 || items.some(item => !item)) return;
+        items.forEach(item => {
+          const product = productsByTitle.get(item.strain.toLowerCase());
+          if (!product) return;
+          item.product_id = product.id;
+          item.product_title = product.title;
+          item.product_thc = product.thc || '';
+          item.product_cbd = product.cbd || '';
+        });
+        insertPrescriptionItems(row.id, items, err2 => {
+          if (err2) console.error('Error migrating prescription medication', row.id, err2.message);
+        });
+      });
+    }
+  );
+}
+
+// Create the table for patient master data. Every user has at most one
+// profile, which is edited on /profile and used to prefill the
+// prescription form. Prescriptions copy these fields when they are
+// created, so later profile changes never alter issued prescriptions.
+// The birthdate is stored as YYYY-MM-DD. The personal fields are encrypted
+// (PATIENT_PROFILE_FIELDS, see db/migrations/encrypt-patient-fields.js).
+function ensurePatientProfileTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS patient_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER UNIQUE NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    address TEXT,
+    zip TEXT,
+    city TEXT,
+    birthdate TEXT,
+    insurance_number TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Additional images of a product for the gallery of the product page in the
+// showroom; the main image stays in products.image. `position` orders the
+// images as uploaded.
+function ensureProductImagesTable() {
+  db.serialize(() => {
+    db.run(`CREATE TABLE IF NOT EXISTS product_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      image TEXT NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images (product_id, position)');
+  });
+}
+
+// Create the table behind the /privatrezept questionnaire. Unlike the
+// simpler prescriptions table it keeps street and house number apart and
+// records the medical background (indication, prior cannabis therapy)
+// collected by the questionnaire. The birthdate is stored as YYYY-MM-DD.
+// The patient, indication and medication fields are encrypted
+// (PRIVATE_PRESCRIPTION_FIELDS, see db/migrations/encrypt-patient-fields.js).
+function ensurePrivatePrescriptionTable() {
+  db.run(`CREATE TABLE IF NOT EXISTS private_prescriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    street TEXT NOT NULL,
+    house_number TEXT NOT NULL,
+    zip_code TEXT NOT NULL,
+    city TEXT NOT NULL,
+    birthdate TEXT NOT NULL,
+    kostentraeger TEXT DEFAULT 'Privat',
+    indication TEXT NOT NULL,
+    indication_other TEXT,
+    previous_cannabis INTEGER DEFAULT 0,
+    medication_grams TEXT NOT NULL,
+    medication_strain TEXT NOT NULL,
+    medication_text TEXT NOT NULL,
+    prescription_date TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+
+// Helper: format a Date as 'tt.mm.jjjj'.
+function formatDateGerman(date) {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  return `${day}.${month}.${date.getFullYear()}`;
+}
 
 // Helper: format a Date as 'tt.mm.jj'.
 function formatDateGermanShort(date) {
@@ -252,21 +869,296 @@ function calculateIssueDate() {
   return formatDateGermanShort(date);
 }
 
-// Helper: baue den Text für eine Cannabis-Verordnung aus Grammzahl und Sorte.
-function buildCannabisMedicationLine(amount, strain) {
-  if (!amount || !strain) return '';
-  const grams = String(amount).trim().replace(',', '.');
-  if (!grams) return '';
-  const cleanedStrain = strain.trim();
-  if (!cleanedStrain) return '';
-  return `${grams}g Cannabisblüten, ${cleanedStrain}, unzerkleinert, verdampfen/inhalieren, Dosierung: ED 0,01g TD 1,00g`;
+// Helper: encrypt a patient field of a prescription, private prescription
+// or patient profile before it is stored.
+function encryptPatientField(value) {
+  return PATIENT_FIELD_CIPHER.encrypt(value);
+}
+
+// Helper: return a copy of `row` with the encrypted `fields` decrypted.
+// Fields that cannot be decrypted (missing key) are left empty; `label`
+// names the record in the log.
+function decryptPatientFields(row, fields, label) {
+  if (!row) return row;
+  const result = { ...row };
+  fields.forEach(field => {
+    if (!(field in result)) return;
+    try {
+      result[field] = PATIENT_FIELD_CIPHER.decrypt(result[field]);
+    } catch (err) {
+      console.error(`${label} ${row.id}: ${err.message}`);
+      result[field] = null;
+    }
+  });
+  return result;
+}
+
+function decryptPrescription(row) {
+  return decryptPatientFields(row, PATIENT_FIELDS, 'Rezept');
+}
+
+function decryptPrivatePrescription(row) {
+  return decryptPatientFields(row, PRIVATE_PRESCRIPTION_FIELDS, 'Privatrezept');
+}
+
+function decryptPatientProfile(row) {
+  return decryptPatientFields(row, PATIENT_PROFILE_FIELDS, 'Profil');
+}
+
+// Helper: parse a birthdate given as TT.MM.JJJJ (typed by hand) or as
+// YYYY-MM-DD (sent by <input type="date">). Returns the date as YYYY-MM-DD
+// or null if it is not a real calendar day between 1900 and today.
+function parseBirthdate(value) {
+  const input = String(value || '').trim();
+  let match = input.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  let day, month, year;
+  if (match) {
+    day = Number(match[1]);
+    month = Number(match[2]);
+    year = Number(match[3]);
+  } else {
+    match = input.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    year = Number(match[1]);
+    month = Number(match[2]);
+    day = Number(match[3]);
+  }
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  if (year < 1900 || date > new Date()) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Helper: format a stored YYYY-MM-DD date as 'TT.MM.JJJJ'.
+function formatIsoDateGerman(iso) {
+  const match = String(iso || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return iso || '';
+  return `${match[3]}.${match[2]}.${match[1]}`;
+}
+
+// Helper: format an SQLite CURRENT_TIMESTAMP value (UTC) as local
+// 'TT.MM.JJJJ HH:MM'.
+function formatTimestampGerman(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(String(timestamp).replace(' ', 'T') + 'Z');
+  if (isNaN(date)) return timestamp;
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const hours = String(date.getHours()).padStart(2, '0');
+  const minutes = String(date.getMinutes()).padStart(2, '0');
+  return `${day}.${month}.${date.getFullYear()} ${hours}:${minutes}`;
+}
+
+// Helper: format a time in milliseconds since the epoch like
+// formatTimestampGerman().
+function formatMillisGerman(ms) {
+  if (!ms) return '';
+  return formatTimestampGerman(new Date(ms).toISOString().slice(0, 19).replace('T', ' '));
+}
+
+// Processing states of a prescription with their German labels, and the
+// transitions an admin may perform from each state. Shipped and rejected
+// prescriptions are final.
+const PRESCRIPTION_STATUSES = {
+  submitted: 'Eingereicht',
+  reviewed: 'Geprüft',
+  printed: 'Gedruckt',
+  shipped: 'Versendet',
+  rejected: 'Abgelehnt'
+};
+const PRESCRIPTION_TRANSITIONS = {
+  submitted: ['reviewed', 'rejected'],
+  reviewed: ['printed', 'rejected'],
+  printed: ['shipped', 'rejected'],
+  shipped: [],
+  rejected: []
+};
+
+// Helper: store an in-app message. A recipientId of null addresses the
+// practice (admin inbox). Without a threadId the message starts a new
+// thread. The callback receives the database error, if any, and the id of
+// the new message.
+function insertMessage(recipientId, senderId, subject, body, threadId, callback) {
+  db.run(
+    'INSERT INTO messages (recipient_id, sender_id, thread_id, subject, body) VALUES (?, ?, ?, ?, ?)',
+    [recipientId, senderId, threadId || null, subject, body],
+    function (err) {
+      if (err) {
+        if (callback) callback(err, null);
+        return;
+      }
+      const messageId = this.lastID;
+      const finish = err2 => {
+        if (!err2) {
+          notifyNewMessages(recipientId === null ? null : [recipientId], subject, threadId || messageId);
+          queueMessageDelivery('m.id = ?', [messageId]);
+        }
+        if (callback) callback(err2, messageId);
+      };
+      if (threadId) return finish(null);
+      db.run('UPDATE messages SET thread_id = id WHERE id = ?', [messageId], finish);
+    }
+  );
+}
+
+// Helper: move a prescription to a new status. The transition is checked
+// against PRESCRIPTION_TRANSITIONS, recorded in the status history and the
+// patient is informed via an inbox message. The callback receives an Error
+// whose message can be shown to the admin.
+function changePrescriptionStatus(prescriptionId, newStatus, actorId, note, callback) {
+  db.get('SELECT id, user_id, status, date FROM prescriptions WHERE id = ?', [prescriptionId], (err, prescription) => {
+    if (err) return callback(new Error('Fehler beim Laden des Rezepts.'));
+    if (!prescription) return callback(new Error('Rezept nicht gefunden.'));
+    const current = prescription.status || 'submitted';
+    if (!(PRESCRIPTION_TRANSITIONS[current] || []).includes(newStatus)) {
+      return callback(new Error(
+        `Statuswechsel von „${PRESCRIPTION_STATUSES[current] || current}“ nach „${PRESCRIPTION_STATUSES[newStatus] || newStatus}“ ist nicht möglich.`
+      ));
+    }
+    if (newStatus === 'rejected' && !note) {
+      return callback(new Error('Bitte geben Sie einen Grund für die Ablehnung an.'));
+    }
+    // The status condition guards against two admins changing the same
+    // prescription at the same time.
+    db.run(
+      'UPDATE prescriptions SET status = ?, status_updated_at = CURRENT_TIMESTAMP WHERE id = ? AND COALESCE(status, \'submitted\') = ?',
+      [newStatus, prescriptionId, current],
+      function (err2) {
+        if (err2) return callback(new Error('Fehler beim Aktualisieren des Status.'));
+        if (this.changes === 0) return callback(new Error('Der Status wurde zwischenzeitlich geändert.'));
+        db.run(
+          'INSERT INTO prescription_status_history (prescription_id, old_status, new_status, changed_by, note) VALUES (?, ?, ?, ?, ?)',
+          [prescriptionId, current, newStatus, actorId, note || null],
+          err3 => {
+            if (err3) console.error('Fehler beim Speichern der Statushistorie:', err3.message);
+            if (!prescription.user_id) return callback(null);
+            let body = `Der Status Ihres Privatrezepts vom ${prescription.date || ''} wurde auf „${PRESCRIPTION_STATUSES[newStatus]}“ gesetzt.`;
+            if (note) body += `\n\nHinweis: ${note}`;
+            insertMessage(
+              prescription.user_id,
+              actorId,
+              `Ihr Rezept #${prescriptionId}: ${PRESCRIPTION_STATUSES[newStatus]}`,
+              body,
+              null,
+              err4 => {
+                if (err4) console.error('Fehler beim Benachrichtigen des Patienten:', err4.message);
+                callback(null);
+              }
+            );
+          }
+        );
+      }
+    );
+  });
+}
+
+// Helper: load a print layout profile. With an id the given profile is
+// loaded, otherwise the default profile. If neither exists the built-in
+// layout is used. The callback always receives a normalized layout.
+function loadPrintLayout(id, callback) {
+  const sql = id
+    ? 'SELECT * FROM print_layouts WHERE id = ?'
+    : 'SELECT * FROM print_layouts WHERE is_default = 1 ORDER BY id LIMIT 1';
+  db.get(sql, id ? [id] : [], (err, row) => {
+    if (err) console.error('Fehler beim Laden des Drucklayouts:', err.message);
+    callback(normalizeLayout(row || null));
+  });
+}
+
+// Helper: load the patient profile of a user. The callback receives the
+// profile row or null.
+function loadPatientProfile(userId, callback) {
+  db.get('SELECT * FROM patient_profiles WHERE user_id = ?', [userId], (err, row) => {
+    if (err) console.error('Fehler beim Laden des Profils:', err.message);
+    callback(decryptPatientProfile(row) || null);
+  });
+}
+
+// Helper: create or update the patient profile of a user.
+function savePatientProfile(userId, profile, callback) {
+  db.run(
+    `INSERT INTO patient_profiles (user_id, first_name, last_name, address, zip, city, birthdate, insurance_number)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET
+       first_name = excluded.first_name,
+       last_name = excluded.last_name,
+       address = excluded.address,
+       zip = excluded.zip,
+       city = excluded.city,
+       birthdate = excluded.birthdate,
+       insurance_number = excluded.insurance_number,
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId].concat(PATIENT_PROFILE_FIELDS.map(field => encryptPatientField(profile[field]))),
+    err => callback(err)
+  );
+}
+
+// Helper: store the medication items of a prescription in the given order
+// together with their product snapshot. prescriptionItemValues() gives the
+// parameters of PRESCRIPTION_ITEM_INSERT for one item, e.g. for inserting
+// in a transaction (see savePrescription()).
+const PRESCRIPTION_ITEM_INSERT = `INSERT INTO prescription_items (prescription_id, position, product_id, strain, grams, single_dose, daily_dose, administration, dispensing_form, product_title, product_thc, product_cbd)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+function prescriptionItemValues(prescriptionId, item, index) {
+  return [
+    prescriptionId,
+    index + 1,
+    item.product_id || null,
+    item.strain,
+    item.grams,
+    item.single_dose,
+    item.daily_dose,
+    item.administration,
+    item.dispensing_form,
+    item.product_title || null,
+    item.product_thc || null,
+    item.product_cbd || null
+  ];
+}
+
+function insertPrescriptionItems(prescriptionId, items, callback) {
+  const stmt = db.prepare(PRESCRIPTION_ITEM_INSERT);
+  let firstError = null;
+  items.forEach((item, index) => {
+    stmt.run(prescriptionItemValues(prescriptionId, item, index), err => {
+      if (err && !firstError) firstError = err;
+    });
+  });
+  stmt.finalize(err => callback(firstError || err || null));
+}
+
+// Helper: load the medication items of the given prescriptions. The
+// callback receives an object mapping each prescription id to its items
+// ordered by position.
+function loadPrescriptionItems(prescriptionIds, callback) {
+  const byPrescription = {};
+  prescriptionIds.forEach(id => {
+    byPrescription[id] = [];
+  });
+  if (prescriptionIds.length === 0) return callback(byPrescription);
+  const placeholders = prescriptionIds.map(() => '?').join(', ');
+  db.all(
+    `SELECT * FROM prescription_items WHERE prescription_id IN (${placeholders}) ORDER BY prescription_id, position`,
+    prescriptionIds,
+    (err, rows) => {
+      if (err) console.error('Fehler beim Laden der Verordnungen:', err.message);
+      (rows || []).forEach(item => {
+        byPrescription[item.prescription_id].push(item);
+      });
+      callback(byPrescription);
+    }
+  );
 }
 
 // Seed additional cannabis products if they do not already exist. This function
 // inserts three predefined strains into the products table along with
 // descriptive metadata and placeholder images. If a product with the same
 // title exists, it will not be duplicated.
-function ensureAdditionalProducts() {
+function ensureAdditionalProducts(callback) {
+  const done = () => { if (callback) callback(); };
   const additional = [
     {
       title: 'Remexian Grape Galena 27/1',
@@ -278,7 +1170,9 @@ function ensureAdditionalProducts() {
       cbd: '<1%',
       effects: 'Relaxed, Schläfrig, Glücklich',
       aroma: 'Fruchtig, Blumen',
-      terpenes: 'Beta-Myrcen, Limonen, Alpha-Humulen, Linalool, Selinadiene'
+      terpenes: 'Beta-Myrcen, Limonen, Alpha-Humulen, Linalool, Selinadiene',
+      strain_type: 'indica',
+      genetics: 'OG Kush × Lost Sailor × Platinum Kush'
     },
     {
       title: 'Peace Naturals GMO Cookies 31/1',
@@ -290,7 +1184,9 @@ function ensureAdditionalProducts() {
       cbd: '<1%',
       effects: 'Euphorisch, Schläfrig, Relaxed',
       aroma: 'Diesel',
-      terpenes: 'Limonen, Alpha-Caryophyllen, Myrcen'
+      terpenes: 'Limonen, Alpha-Caryophyllen, Myrcen',
+      strain_type: 'indica',
+      genetics: 'Girl Scout Cookies × Chemdawg'
     },
     {
       title: 'AMICI Blueberry Headband 22/1',
@@ -302,53 +1198,62 @@ function ensureAdditionalProducts() {
       cbd: '<1%',
       effects: 'Cerebral, Körperbetont, Lang anhaltend, Ausgewogen',
       aroma: 'Beerig, Würzig',
-      terpenes: 'Caryophyllen, Linalool, Myrcen'
+      terpenes: 'Caryophyllen, Linalool, Myrcen',
+      strain_type: 'hybrid',
+      genetics: 'Blueberry × Headband'
     }
   ];
+  let pending = additional.length;
+  const finished = () => { if (--pending === 0) done(); };
   additional.forEach(p => {
     db.get('SELECT id FROM products WHERE title = ?', [p.title], (err, row) => {
       if (err) {
         console.error('Fehler beim Prüfen der Sorte', p.title, err.message);
-        return;
+        return finished();
       }
       if (!row) {
         db.run(
-          'INSERT INTO products (title, description, price, image, thc, cbd, effects, aroma, terpenes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-          [p.title, p.description, p.price, p.image, p.thc, p.cbd, p.effects, p.aroma, p.terpenes],
+          'INSERT INTO products (title, description, price, image, thc, cbd, effects, aroma, terpenes, strain_type, genetics) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+          [p.title, p.description, p.price, p.image, p.thc, p.cbd, p.effects, p.aroma, p.terpenes, p.strain_type, p.genetics],
           err2 => {
             if (err2) {
               console.error('Fehler beim Einfügen der Sorte', p.title, err2.message);
             }
+            finished();
           }
         );
+      } else {
+        // Strains seeded before strain types and genetics existed get them.
+        db.run(
+          "UPDATE products SET strain_type = COALESCE(NULLIF(strain_type, ''), ?), genetics = COALESCE(NULLIF(genetics, ''), ?) WHERE id = ?",
+          [p.strain_type, p.genetics, row.id],
+          finished
+        );
       }
     });
   });
 }
 
-// Insert an admin user if not present. We perform this on every
-// startup; if the row already exists, we skip insertion.
-async function ensureAdmin() {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT id FROM users WHERE email = ?', ['Admin'], async (err, row) => {
-      if (err) return reject(err);
-      if (!row) {
-        try {
-          const hash = await bcrypt.hash('admin1234', 10);
-          db.run(
-            'INSERT INTO users (email, password_hash, is_admin, approved) VALUES (?, ?, 1, 1)',
-            ['Admin', hash],
-            err2 => {
-              if (err2) return reject(err2);
-              resolve();
-            }
-          );
-        } catch (e) {
-          reject(e);
-        }
-      } else {
-        resolve();
-      }
+// Inspect the admin accounts before the server starts. Without any admin
+// the first-run setup (/setup) is required. Older versions created an
+// admin with the login "Admin" and the password "admin1234" on every fresh
+// database; if that account still uses the default password it has to
+// change it on the next login. The callback receives whether the default
+// credentials are still in use.
+function checkAdminAccounts(callback) {
+  db.all('SELECT id, email, password_hash FROM users WHERE is_admin = 1', [], async (err, admins) => {
+    if (err) return callback(err);
+    setupRequired = admins.length === 0;
+    const legacy = admins.find(a => a.email === LEGACY_ADMIN_LOGIN);
+    let defaultCredentials = false;
+    try {
+      defaultCredentials = Boolean(legacy) && await bcrypt.compare(LEGACY_ADMIN_PASSWORD, legacy.password_hash);
+    } catch (e) {
+      return callback(e);
+    }
+    if (!defaultCredentials) return callback(null, false);
+    db.run('UPDATE users SET must_change_password = 1 WHERE id = ?', [legacy.id], err2 => {
+      callback(err2 || null, true);
     });
   });
 }
@@ -395,10 +1300,7 @@ async function ensureProducts() {
   });
 }
 
-// Immediately ensure the admin and demo products exist.
-if (typeof ensureAdmin === 'function') {
-  ensureAdmin().catch(err => console.error(err));
-}
+// Immediately ensure the demo products exist.
 if (typeof ensureProducts === 'function') {
   ensureProducts().catch(err => console.error(err));
 }
@@ -407,9 +1309,17 @@ if (typeof ensureProducts === 'function') {
 // products (e.g. Remexian Grape Galena, Peace Naturals GMO Cookies, Blueberry
 // Headband) if they are not already present. These calls run once at
 // startup to upgrade the schema and populate the demo data.
-ensurePrescriptionTable();
-extendPrescriptionSchema();
-ensureAdditionalProducts();
+// The patient data migration at startup (see startServer()) waits for the
+// prescriptions schema to be complete, the import of the product metadata
+// for the seeded strains.
+const prescriptionSchemaReady = new Promise(resolve => ensurePrescriptionTable(() => extendPrescriptionSchema(resolve)));
+ensurePrescriptionStatusHistoryTable();
+ensurePrintLayoutTable();
+ensurePrescriptionItemsTable();
+ensurePrivatePrescriptionTable();
+ensurePatientProfileTable();
+ensureProductImagesTable();
+const productSchemaReady = new Promise(resolve => extendProductSchema(() => ensureAdditionalProducts(resolve)));
 
 // Set the view engine to EJS and configure express static files.
 app.set('view engine', 'ejs');
@@ -428,14 +1338,18 @@ app.use('/uploads', express.static(UPLOAD_DIR));
 app.use(helmet());
 
 // Configure session management. Sessions are persisted in a SQLite
-// database to survive application restarts.
+// database to survive application restarts. The store is kept in a
+// variable so that the sessions of blocked or deleted users can be
+// removed (see destroyUserSessions()).
+const sessionStore = new SQLiteStore({ db: 'sessions.db', dir: SESSION_DIR });
+
 app.use(
   session({
     // Persist session data alongside the database; SESSION_DIR defaults
     // to DATA_DIR so sessions survive application restarts when DATA_DIR
     // points to a persistent volume.
-    store: new SQLiteStore({ db: 'sessions.db', dir: SESSION_DIR }),
-    secret: process.env.SESSION_SECRET || 'replace_this_secret',
+    store: sessionStore,
+    secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: { maxAge: 1000 * 60 * 60 * 24 } // 24 hours
@@ -451,6 +1365,25 @@ app.use((req, res, next) => {
   next();
 });
 
+// First-run setup and forced password changes. As long as no admin
+// account exists every page leads to the setup wizard, which requires the
+// setup code printed to the server log at startup (or SETUP_CODE). Users
+// who have to change their password (default or generated credentials)
+// only get the password change form until they have done so.
+let setupRequired = false;
+let setupCode = null;
+
+app.use((req, res, next) => {
+  if (setupRequired) {
+    return req.path === '/setup' ? next() : res.redirect('/setup');
+  }
+  const user = req.session.user;
+  if (user && user.must_change_password && req.path !== '/change-password' && req.path !== '/logout') {
+    return res.redirect('/change-password');
+  }
+  next();
+});
+
 // Helper middleware to require that a user is authenticated and approved.
 function requireAuth(req, res, next) {
   if (!req.session.user) {
@@ -476,6 +1409,59 @@ function requireAdmin(req, res, next) {
   });
 }
 
+/*
+ * Audit log
+ *
+ * Every read and write of patient, prescription and user data is recorded
+ * in audit_log with the acting user, the action, the entity and its id,
+ * the IP address and the time. Reads are recorded by the auditRead()
+ * middleware once the page has been delivered; writes call recordAudit()
+ * where the change has succeeded.
+ */
+
+// Helper: append an entry to the audit log. `actor` defaults to the
+// logged-in user.
+function recordAudit(req, action, entity, entityId, details, actor) {
+  const user = actor || (req && req.session && req.session.user) || null;
+  db.run(
+    'INSERT INTO audit_log (actor_id, actor_name, action, entity, entity_id, ip, details) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [
+      user ? user.id : null,
+      user ? user.username || user.email : null,
+      action,
+      entity,
+      entityId === undefined || entityId === null ? null : String(entityId),
+      req ? req.ip : null,
+      details || null
+    ],
+    err => {
+      if (err) console.error('Fehler beim Schreiben des Audit-Logs:', err.message);
+    }
+  );
+}
+
+// Helper: the URL of a request as stored in the audit log. Search terms
+// (?q=) are left out: the patient search may contain names or insurance
+// numbers, which must not end up in the append-only log in plaintext.
+function auditedUrl(req) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const searched = url.searchParams.has('q');
+  url.searchParams.delete('q');
+  return `${url.pathname}${url.search}${searched ? ' (Suche)' : ''}`;
+}
+
+// Middleware: record a read of `entity` once the response has been sent
+// successfully. `idOf` returns the entity id; by default the :id param.
+function auditRead(action, entity, idOf) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) return;
+      recordAudit(req, action, entity, idOf ? idOf(req) : req.params.id, auditedUrl(req));
+    });
+    next();
+  };
+}
+
 // Root route: redirect user depending on login status
 app.get('/', (req, res) => {
   if (req.session.user) {
@@ -487,6 +1473,153 @@ app.get('/', (req, res) => {
   res.redirect('/login');
 });
 
+// First-run setup: create the initial admin account. Only available while
+// no admin exists.
+app.get('/setup', (req, res) => {
+  if (!setupRequired) {
+    return res.redirect('/login');
+  }
+  // An admin may have been created in the meantime with
+  // scripts/create-admin.js.
+  db.get('SELECT COUNT(*) AS count FROM users WHERE is_admin = 1', [], (err, row) => {
+    if (!err && row.count > 0) {
+      setupRequired = false;
+      setupCode = null;
+      return res.redirect('/login');
+    }
+    res.render('setup', { errors: [], values: {} });
+  });
+});
+
+app.post('/setup', async (req, res) => {
+  if (!setupRequired) {
+    return res.redirect('/login');
+  }
+  const values = {
+    username: (req.body.username || '').trim(),
+    email: (req.body.email || '').trim()
+  };
+  const { setup_code, password, confirm_password } = req.body;
+  const errors = [];
+  if ((setup_code || '').trim() !== setupCode) {
+    errors.push({ msg: 'Der Einrichtungscode ist falsch.' });
+  }
+  if (!values.username || !values.email) {
+    errors.push({ msg: 'Benutzername und E-Mail sind erforderlich.' });
+  } else if (!/^[^\s@]+@[^\s@]+$/.test(values.email)) {
+    errors.push({ msg: 'Bitte geben Sie eine gültige E-Mail-Adresse an.' });
+  }
+  passwordErrors(password, { strong: true }).forEach(msg => errors.push({ msg }));
+  if (password !== confirm_password) {
+    errors.push({ msg: 'Passwörter stimmen nicht überein.' });
+  }
+  if (errors.length > 0) {
+    return res.status(400).render('setup', { errors, values });
+  }
+  try {
+    const hash = await bcrypt.hash(password, 10);
+    // The NOT EXISTS condition keeps a second, concurrent submission from
+    // creating another admin.
+    db.run(
+      `INSERT INTO users (username, email, password_hash, is_admin, approved)
+       SELECT ?, ?, ?, 1, 1 WHERE NOT EXISTS (SELECT 1 FROM users WHERE is_admin = 1)`,
+      [values.username, values.email, hash],
+      function (err) {
+        if (err) {
+          const msg = /UNIQUE/.test(err.message)
+            ? 'Benutzername oder E-Mail existiert bereits.'
+            : 'Fehler beim Anlegen des Admin-Kontos.';
+          return res.status(400).render('setup', { errors: [{ msg }], values });
+        }
+        setupRequired = false;
+        setupCode = null;
+        if (this.changes > 0) {
+          recordAudit(req, 'create', 'user', this.lastID, 'Ersteinrichtung', { id: this.lastID, username: values.username });
+          console.log(`Ersteinrichtung abgeschlossen, Admin-Konto „${values.username}“ angelegt.`);
+        }
+        res.redirect('/login');
+      }
+    );
+  } catch (e) {
+    return res.status(500).render('setup', { errors: [{ msg: 'Fehler beim Anlegen des Admin-Kontos.' }], values });
+  }
+});
+
+/*
+ * Login throttling
+ *
+ * Failed logins are counted per account and per IP address in the
+ * login_failures table (policy in lib/login-throttle.js). Identifiers that
+ * do not belong to an account are counted like accounts, and the password
+ * of an unknown user is checked against a dummy hash, so that the answer
+ * does not reveal whether an account exists.
+ */
+
+const LOGIN_FAILED_MESSAGE = 'Benutzername/E-Mail oder Passwort ist falsch.';
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password-for-unknown-users', 10);
+
+function getLoginFailure(kind, subject) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM login_failures WHERE kind = ? AND subject = ?', [kind, subject], (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+}
+
+// Helper: count a failed attempt for `kind`/`subject`.
+function addLoginFailure(kind, subject, now) {
+  return getLoginFailure(kind, subject).then(row => new Promise((resolve, reject) => {
+    const state = recordFailure(row, kind === 'ip' ? 'ip' : 'account', LOGIN_THROTTLE, now);
+    db.run(
+      `INSERT INTO login_failures (kind, subject, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(kind, subject) DO UPDATE SET
+         failures = excluded.failures,
+         last_failure_at = excluded.last_failure_at,
+         locked_until = excluded.locked_until`,
+      [kind, subject, state.failures, state.last_failure_at, state.locked_until],
+      err => {
+        if (err) return reject(err);
+        if (state.lockedOut) {
+          console.warn(`Anmeldung gesperrt nach ${state.failures} Fehlversuchen: ${kind} ${subject}`);
+        }
+        resolve(state);
+      }
+    );
+  }));
+}
+
+// Helper: remove the counter of `kind`/`subject` (successful login or
+// unlock by an admin).
+function clearLoginFailures(kind, subject, callback) {
+  db.run('DELETE FROM login_failures WHERE kind = ? AND subject = ?', [kind, subject], err => {
+    if (err) console.error('Fehler beim Zurücksetzen der Anmeldeversuche:', err.message);
+    if (callback) callback(err);
+  });
+}
+
+// Helper: run login attempts for the same key one after another, so that
+// parallel requests cannot all pass the check before the first failure has
+// been counted.
+const loginQueues = new Map();
+function queueLoginAttempt(key, task) {
+  const previous = loginQueues.get(key) || Promise.resolve();
+  const run = previous.then(task, task);
+  const tail = run.catch(() => {});
+  loginQueues.set(key, tail);
+  tail.then(() => {
+    if (loginQueues.get(key) === tail) loginQueues.delete(key);
+  });
+  return run;
+}
+
+// Helper: whether a counter row is a lockout (not only the short delay
+// after a single failure).
+function isLoginLockout(row, now) {
+  const max = row.kind === 'ip' ? LOGIN_THROTTLE.ipMaxFailures : LOGIN_THROTTLE.maxFailures;
+  return row.failures >= max && lockRemaining(row, now) > 0;
+}
+
 // Login routes
 app.get('/login', (req, res) => {
   res.render('login', { errors: [] });
@@ -509,28 +1642,334 @@ app.post('/login', async (req, res) => {
     if (err) {
       return res.render('login', { errors: [{ msg: 'Fehler beim Abrufen des Benutzers.' }] });
     }
-    if (!user) {
-      return res.render('login', { errors: [{ msg: 'Benutzer existiert nicht.' }] });
-    }
-    const match = await bcrypt.compare(password, user.password_hash);
-    if (!match) {
-      return res.render('login', { errors: [{ msg: 'Falsches Passwort.' }] });
-    }
-    // Save user details in session (without password_hash)
-    req.session.user = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      phone: user.phone,
-      is_admin: Boolean(user.is_admin),
-      approved: Boolean(user.approved),
-      newsletter_opt_in: Boolean(user.newsletter_opt_in)
+    // Attempts are throttled before the password is checked.
+    const accountKind = user ? 'account' : 'identifier';
+    const accountSubject = user ? String(user.id) : String(identifier).trim().toLowerCase();
+    const checkPassword = async () => {
+      const now = Date.now();
+      const [ipRow, accountRow] = await Promise.all([
+        getLoginFailure('ip', req.ip),
+        getLoginFailure(accountKind, accountSubject)
+      ]);
+      const wait = Math.max(lockRemaining(ipRow, now), lockRemaining(accountRow, now));
+      if (wait > 0) return { wait };
+      const match = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+      if (!user || !match) {
+        await Promise.all([
+          addLoginFailure('ip', req.ip, now),
+          addLoginFailure(accountKind, accountSubject, now)
+        ]);
+        return { failed: true };
+      }
+      return {};
     };
-    // Redirect accordingly
-    return res.redirect(user.is_admin ? '/admin' : '/showroom');
+    let result;
+    try {
+      result = await queueLoginAttempt(`ip:${req.ip}`, () => queueLoginAttempt(`${accountKind}:${accountSubject}`, checkPassword));
+    } catch (e) {
+      console.error('Fehler bei der Anmeldung:', e.message);
+      return res.render('login', { errors: [{ msg: 'Fehler beim Abrufen des Benutzers.' }] });
+    }
+    if (result.wait) {
+      return res.status(429).render('login', { errors: [{ msg: lockMessage(result.wait) }] });
+    }
+    if (result.failed) {
+      return res.render('login', { errors: [{ msg: LOGIN_FAILED_MESSAGE }] });
+    }
+    const refusal = loginRefusal(user);
+    if (refusal) {
+      return res.render('login', { errors: [{ msg: refusal }] });
+    }
+    // Users with 2FA, and admins who still have to set it up, continue
+    // with the second step before they are logged in.
+    if (user.totp_enabled || user.is_admin) {
+      req.session.pendingLogin = { userId: user.id, expires: Date.now() + PENDING_LOGIN_TTL };
+      return res.redirect(user.totp_enabled ? '/login/two-factor' : '/login/two-factor/setup');
+    }
+    startUserSession(req, user);
+    return res.redirect(homeFor(user));
+  });
+});
+
+/*
+ * Two-factor authentication (TOTP)
+ *
+ * Users may protect their account with codes from an authenticator app;
+ * for admins it is mandatory. After the password has been checked, users
+ * with 2FA only get a pending login (req.session.pendingLogin) and have
+ * to enter a code or one of their recovery codes before req.session.user
+ * is set. Admins without 2FA have to set it up at that point. Wrong codes
+ * count as failed logins of the account (see login throttling above).
+ */
+
+const PENDING_LOGIN_TTL = 1000 * 60 * 5; // 5 minutes
+const TOTP_ISSUER = 'Medizinisches Cannabis';
+
+// Helper: reason why a user whose password matched may not log in, or
+// null.
+function loginRefusal(user) {
+  if (user.blocked) return 'Ihr Konto ist gesperrt. Bitte wenden Sie sich an die Praxis.';
+  if (user.rejected) return 'Ihre Registrierung wurde abgelehnt.';
+  return null;
+}
+
+// Helper: log the user in. Clears the failed login counter and the
+// pending login and stores the user details in the session.
+function startUserSession(req, user) {
+  clearLoginFailures('account', String(user.id));
+  delete req.session.pendingLogin;
+  delete req.session.totpEnrollment;
+  recordAudit(req, 'login', 'user', user.id, null, user);
+  // Save user details in session (without password_hash)
+  req.session.user = {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    phone: user.phone,
+    is_admin: Boolean(user.is_admin),
+    approved: Boolean(user.approved),
+    newsletter_opt_in: Boolean(user.newsletter_opt_in),
+    must_change_password: Boolean(user.must_change_password)
+  };
+}
+
+function homeFor(user) {
+  if (user.must_change_password) return '/change-password';
+  return user.is_admin ? '/admin' : '/showroom';
+}
+
+// Helper: the user of the pending login, or null if there is none or it
+// has expired.
+function loadPendingLoginUser(req, callback) {
+  const pending = req.session.pendingLogin;
+  if (!pending || pending.expires < Date.now()) {
+    delete req.session.pendingLogin;
+    return callback(null);
+  }
+  db.get('SELECT * FROM users WHERE id = ?', [pending.userId], (err, user) => {
+    callback(err ? null : user || null);
+  });
+}
+
+// Helper: check a code from the authenticator app or an unused recovery
+// code. The callback receives whether the code was accepted; used codes
+// cannot be used again.
+function checkSecondFactor(user, code, callback) {
+  const value = String(code || '').trim();
+  const step = verifyCode(user.totp_secret, value, Date.now(), user.totp_last_step);
+  if (step !== null) {
+    return db.run('UPDATE users SET totp_last_step = ? WHERE id = ?', [step, user.id], err => callback(!err));
+  }
+  if (/^\d+$/.test(value.replace(/\s+/g, ''))) return callback(false);
+  db.run(
+    'UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+    [user.id, hashRecoveryCode(value)],
+    function (err) {
+      callback(!err && this.changes > 0);
+    }
+  );
+}
+
+// Helper: replace the recovery codes of a user. Passes the new codes.
+function createRecoveryCodes(userId, callback) {
+  const codes = generateRecoveryCodes();
+  db.serialize(() => {
+    db.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    const stmt = db.prepare('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    codes.forEach(code => stmt.run(userId, hashRecoveryCode(code)));
+    stmt.finalize(err => callback(err, codes));
+  });
+}
+
+// Helper: the secret being set up, kept in the session until the first
+// code has been confirmed.
+function enrollmentSecret(req, userId) {
+  const enrollment = req.session.totpEnrollment;
+  if (!enrollment || enrollment.userId !== userId) {
+    req.session.totpEnrollment = { userId, secret: generateSecret() };
+  }
+  return req.session.totpEnrollment.secret;
+}
+
+function renderTwoFactorSetup(req, res, user, options) {
+  const secret = enrollmentSecret(req, user.id);
+  const url = otpauthUrl(secret, user.username || user.email, TOTP_ISSUER);
+  QRCode.toDataURL(url, { margin: 1, width: 220 }, (err, qrDataUrl) => {
+    res.status(options.errors.length > 0 ? 400 : 200).render('two-factor-setup', {
+      qrDataUrl: err ? null : qrDataUrl,
+      secret,
+      action: options.action,
+      mandatory: Boolean(options.mandatory),
+      errors: options.errors
+    });
+  });
+}
+
+// Helper: confirm the set-up secret with a first code, enable 2FA and
+// create recovery codes. The callback receives an error message or the
+// recovery codes.
+function enableTwoFactor(req, user, code, callback) {
+  const enrollment = req.session.totpEnrollment;
+  const step = enrollment && enrollment.userId === user.id
+    ? verifyCode(enrollment.secret, code, Date.now())
+    : null;
+  if (step === null) {
+    return callback('Der Code ist ungültig. Bitte prüfen Sie die Uhrzeit Ihres Geräts und versuchen Sie es erneut.');
+  }
+  db.run(
+    'UPDATE users SET totp_secret = ?, totp_enabled = 1, totp_last_step = ? WHERE id = ?',
+    [enrollment.secret, step, user.id],
+    err => {
+      if (err) return callback('Fehler beim Aktivieren der Zwei-Faktor-Anmeldung.');
+      delete req.session.totpEnrollment;
+      recordAudit(req, 'two_factor_enable', 'user', user.id, null, user);
+      createRecoveryCodes(user.id, (err2, codes) => {
+        if (err2) return callback('Fehler beim Erstellen der Wiederherstellungscodes.');
+        callback(null, codes);
+      });
+    }
+  );
+}
+
+// Second login step: code from the app or a recovery code.
+app.get('/login/two-factor', (req, res) => {
+  loadPendingLoginUser(req, user => {
+    if (!user) return res.redirect('/login');
+    if (!user.totp_enabled) return res.redirect('/login/two-factor/setup');
+    res.render('login-two-factor', { errors: [] });
+  });
+});
+
+app.post('/login/two-factor', (req, res) => {
+  loadPendingLoginUser(req, async user => {
+    if (!user) return res.redirect('/login');
+    if (!user.totp_enabled) return res.redirect('/login/two-factor/setup');
+    const render = (status, msg) => res.status(status).render('login-two-factor', { errors: [{ msg }] });
+    let row;
+    try {
+      row = await getLoginFailure('account', String(user.id));
+    } catch (e) {
+      return render(500, 'Fehler beim Abrufen des Benutzers.');
+    }
+    const wait = lockRemaining(row, Date.now());
+    if (wait > 0) return render(429, lockMessage(wait));
+    checkSecondFactor(user, req.body.code, ok => {
+      if (!ok) {
+        return addLoginFailure('account', String(user.id), Date.now())
+          .catch(e => console.error('Fehler beim Zählen des Fehlversuchs:', e.message))
+          .then(() => render(400, 'Der Code ist ungültig.'));
+      }
+      const refusal = loginRefusal(user);
+      if (refusal) {
+        delete req.session.pendingLogin;
+        return res.render('login', { errors: [{ msg: refusal }] });
+      }
+      startUserSession(req, user);
+      res.redirect(homeFor(user));
+    });
+  });
+});
+
+// Mandatory setup of 2FA for admins during login.
+app.get('/login/two-factor/setup', (req, res) => {
+  loadPendingLoginUser(req, user => {
+    if (!user) return res.redirect('/login');
+    if (user.totp_enabled) return res.redirect('/login/two-factor');
+    renderTwoFactorSetup(req, res, user, { action: '/login/two-factor/setup', mandatory: true, errors: [] });
+  });
+});
+
+app.post('/login/two-factor/setup', (req, res) => {
+  loadPendingLoginUser(req, user => {
+    if (!user) return res.redirect('/login');
+    if (user.totp_enabled) return res.redirect('/login/two-factor');
+    enableTwoFactor(req, user, req.body.code, (error, codes) => {
+      if (error) {
+        return renderTwoFactorSetup(req, res, user, { action: '/login/two-factor/setup', mandatory: true, errors: [{ msg: error }] });
+      }
+      startUserSession(req, user);
+      res.render('two-factor-recovery-codes', { codes, next: homeFor(user) });
+    });
+  });
+});
+
+// Settings page: set up, disable or renew recovery codes.
+function renderTwoFactorSettings(req, res, errors) {
+  db.get(
+    `SELECT u.*, (SELECT COUNT(*) FROM user_recovery_codes c WHERE c.user_id = u.id AND c.used_at IS NULL) AS recovery_codes_left
+     FROM users u WHERE u.id = ?`,
+    [req.session.user.id],
+    (err, user) => {
+      if (err || !user) return res.status(500).render('404');
+      if (!user.totp_enabled) {
+        return renderTwoFactorSetup(req, res, user, { action: '/two-factor/enable', mandatory: false, errors });
+      }
+      res.status(errors.length > 0 ? 400 : 200).render('two-factor', {
+        recoveryCodesLeft: user.recovery_codes_left,
+        canDisable: !user.is_admin,
+        disabled: false,
+        errors
+      });
+    }
+  );
+}
+
+app.get('/two-factor', requireAuth, (req, res) => {
+  renderTwoFactorSettings(req, res, []);
+});
+
+app.post('/two-factor/enable', requireAuth, (req, res) => {
+  db.get('SELECT * FROM users WHERE id = ?', [req.session.user.id], (err, user) => {
+    if (err || !user) return res.status(500).render('404');
+    if (user.totp_enabled) return res.redirect('/two-factor');
+    enableTwoFactor(req, user, req.body.code, (error, codes) => {
+      if (error) return renderTwoFactorSettings(req, res, [{ msg: error }]);
+      res.render('two-factor-recovery-codes', { codes, next: '/two-factor' });
+    });
+  });
+});
+
+app.post('/two-factor/recovery-codes', requireAuth, (req, res) => {
+  db.get('SELECT * FROM users WHERE id = ?', [req.session.user.id], (err, user) => {
+    if (err || !user) return res.status(500).render('404');
+    if (!user.totp_enabled) return res.redirect('/two-factor');
+    checkSecondFactor(user, req.body.code, ok => {
+      if (!ok) return renderTwoFactorSettings(req, res, [{ msg: 'Der Code ist ungültig.' }]);
+      createRecoveryCodes(user.id, (err2, codes) => {
+        if (err2) return renderTwoFactorSettings(req, res, [{ msg: 'Fehler beim Erstellen der Wiederherstellungscodes.' }]);
+        res.render('two-factor-recovery-codes', { codes, next: '/two-factor' });
+      });
+    });
   });
 });
 
+// Disabling requires the password and a code. Admins cannot disable 2FA.
+app.post('/two-factor/disable', requireAuth, (req, res) => {
+  db.get('SELECT * FROM users WHERE id = ?', [req.session.user.id], async (err, user) => {
+    if (err || !user) return res.status(500).render('404');
+    if (!user.totp_enabled) return res.redirect('/two-factor');
+    if (user.is_admin) {
+      return renderTwoFactorSettings(req, res, [{ msg: 'Für Admin-Konten ist die Zwei-Faktor-Anmeldung verpflichtend.' }]);
+    }
+    const passwordOk = req.body.password && await bcrypt.compare(req.body.password, user.password_hash);
+    if (!passwordOk) {
+      return renderTwoFactorSettings(req, res, [{ msg: 'Das Passwort ist falsch.' }]);
+    }
+    checkSecondFactor(user, req.body.code, ok => {
+      if (!ok) return renderTwoFactorSettings(req, res, [{ msg: 'Der Code ist ungültig.' }]);
+      db.serialize(() => {
+        db.run('UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?', [user.id]);
+        db.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [user.id], err2 => {
+          if (err2) return renderTwoFactorSettings(req, res, [{ msg: 'Fehler beim Deaktivieren der Zwei-Faktor-Anmeldung.' }]);
+          recordAudit(req, 'two_factor_disable', 'user', user.id);
+          res.render('two-factor', { recoveryCodesLeft: 0, canDisable: false, disabled: true, errors: [] });
+        });
+      });
+    });
+  });
+});
+
+
 // Registration routes
 app.get('/register', (req, res) => {
   res.render('register', { errors: [] });
@@ -558,10 +1997,12 @@ app.post('/register', async (req, res) => {
   try {
     const hash = await bcrypt.hash(password, 10);
     const phoneVal = phone && phone.trim() ? phone.trim() : null;
-    const newsletterOpt = newsletter ? 1 : 0;
+    // The newsletter is only sent after the subscription has been confirmed
+    // with the link from the confirmation mail (double opt-in).
+    const newsletterRequestedAt = newsletter ? new Date().toISOString().slice(0, 19).replace('T', ' ') : null;
     db.run(
-      'INSERT INTO users (username, email, phone, password_hash, newsletter_opt_in, is_admin, approved) VALUES (?, ?, ?, ?, ?, 0, 0)',
-      [username.trim(), email.trim(), phoneVal, hash, newsletterOpt],
+      'INSERT INTO users (username, email, phone, password_hash, newsletter_opt_in, newsletter_requested_at, is_admin, approved) VALUES (?, ?, ?, ?, 0, ?, 0, 0)',
+      [username.trim(), email.trim(), phoneVal, hash, newsletterRequestedAt],
       function (err) {
         if (err) {
           const message = err.message && err.message.includes('UNIQUE')
@@ -569,7 +2010,15 @@ app.post('/register', async (req, res) => {
             : 'Fehler beim Registrieren des Benutzers.';
           return res.render('register', { errors: [{ msg: message }] });
         }
-        // Registration successful: show awaiting approval message
+        // Registration successful: send the verification link and show
+        // the awaiting approval message
+        const newUser = { id: this.lastID, username: username.trim(), email: email.trim() };
+        recordAudit(req, 'create', 'user', newUser.id, 'Registrierung', newUser);
+        sendVerificationMail(newUser);
+        if (newsletterRequestedAt) {
+          recordNewsletterConsent(req, newUser.id, 'requested', 'registration');
+          sendNewsletterConfirmationMail({ ...newUser, newsletter_requested_at: newsletterRequestedAt });
+        }
         return res.render('awaiting');
       }
     );
@@ -585,499 +2034,3355 @@ app.get('/logout', (req, res) => {
   });
 });
 
-// Showroom for regular users
-app.get('/showroom', requireAuth, (req, res) => {
-  // Only non-admin users should access showroom
-  if (req.session.user.is_admin) {
-    return res.redirect('/admin');
-  }
-  db.all('SELECT * FROM products', [], (err, products) => {
-    if (err) {
-      return res.render('showroom', { products: [], error: 'Fehler beim Abrufen der Produkte.' });
+/*
+ * Account recovery and e-mail verification
+ *
+ * Links for resetting the password and for confirming the e-mail address
+ * carry a signed, expiring token (see lib/tokens.js) and are sent through
+ * the configured mail transport. A reset token is bound to the current
+ * password hash and a verification token to the e-mail address, so a link
+ * stops working once the password or address has changed. Requests for a
+ * link always get the same answer, whether or not the account exists.
+ */
+
+const PASSWORD_RESET_TTL = 1000 * 60 * 60; // 1 hour
+const EMAIL_VERIFICATION_TTL = 1000 * 60 * 60 * 48; // 48 hours
+const NEWSLETTER_CONFIRMATION_TTL = 1000 * 60 * 60 * 24 * 7; // 7 days
+const NEWSLETTER_UNSUBSCRIBE_TTL = 1000 * 60 * 60 * 24 * 365 * 2; // 2 years
+
+// Helper: base URL for links in e-mails and text messages. It is taken
+// from APP_URL only, never from the Host header of a request, which a
+// client can forge to have reset links point to another domain. Without
+// APP_URL (development) links point to localhost; in production the
+// server does not start without it (see startServer()).
+function appUrl() {
+  return (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+}
+
+// Helper: send a mail and log failures. Mails are sent in the background;
+// the page shown to the user does not depend on the outcome.
+function sendMail(mail) {
+  mailer.send(mail).catch(err => {
+    console.error('Fehler beim Senden der E-Mail an', mail.to, err.message);
+  });
+}
+
+function sendVerificationMail(user) {
+  const token = createToken(TOKEN_SECRET, 'verify-email', user.id, user.email, EMAIL_VERIFICATION_TTL);
+  sendMail({
+    to: user.email,
+    subject: 'Bitte bestätigen Sie Ihre E-Mail-Adresse',
+    text: [
+      `Hallo ${user.username || user.email},`,
+      '',
+      'bitte bestätigen Sie Ihre E-Mail-Adresse über den folgenden Link:',
+      '',
+      `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`,
+      '',
+      'Der Link ist 48 Stunden gültig. Falls Sie sich nicht registriert haben, können Sie diese E-Mail ignorieren.'
+    ].join('\n')
+  });
+}
+
+function sendPasswordResetMail(user) {
+  const token = createToken(TOKEN_SECRET, 'reset-password', user.id, user.password_hash, PASSWORD_RESET_TTL);
+  sendMail({
+    to: user.email,
+    subject: 'Passwort zurücksetzen',
+    text: [
+      `Hallo ${user.username || user.email},`,
+      '',
+      'über den folgenden Link können Sie ein neues Passwort festlegen:',
+      '',
+      `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`,
+      '',
+      'Der Link ist eine Stunde gültig und kann nur einmal verwendet werden. Falls Sie kein neues Passwort angefordert haben, können Sie diese E-Mail ignorieren.'
+    ].join('\n')
+  });
+}
+
+// Confirmation of a newsletter subscription (double opt-in). The link is
+// bound to the time of the request, so it becomes invalid once it has
+// been used or the subscription has been withdrawn.
+function sendNewsletterConfirmationMail(user) {
+  const token = createToken(TOKEN_SECRET, 'newsletter-confirm', user.id, user.newsletter_requested_at, NEWSLETTER_CONFIRMATION_TTL);
+  sendMail({
+    to: user.email,
+    subject: 'Bitte bestätigen Sie Ihre Newsletter-Anmeldung',
+    text: [
+      `Hallo ${user.username || user.email},`,
+      '',
+      'Sie möchten unseren Newsletter erhalten. Bitte bestätigen Sie die Anmeldung über den folgenden Link:',
+      '',
+      `${appUrl()}/newsletter/confirm?token=${encodeURIComponent(token)}`,
+      '',
+      'Der Link ist sieben Tage gültig. Ohne Bestätigung erhalten Sie keinen Newsletter. Sie können den Newsletter jederzeit in Ihren Einstellungen oder über den Link in jedem Newsletter abbestellen.'
+    ].join('\n')
+  });
+}
+
+// Helper: look up the user a token was issued for. Passes null when the
+// token is invalid, expired or no longer matches the user's state.
+function userForToken(token, purpose, stateOf, callback) {
+  const data = readToken(TOKEN_SECRET, token, purpose);
+  if (!data) return callback(null);
+  db.get('SELECT * FROM users WHERE id = ?', [data.userId], (err, user) => {
+    if (err || !user || !matchesState(data, stateOf(user))) return callback(null);
+    callback(user);
+  });
+}
+
+function renderNotice(res, status, title, message) {
+  res.status(status).render('notice', { title, message });
+}
+
+// Confirm the e-mail address with the link from the verification mail.
+app.get('/verify-email', (req, res) => {
+  userForToken(req.query.token, 'verify-email', user => user.email, user => {
+    if (!user) {
+      return renderNotice(res, 400, 'Link ungültig',
+        'Der Bestätigungslink ist ungültig oder abgelaufen. Sie können einen neuen Link anfordern.');
+    }
+    if (user.email_verified) {
+      return renderNotice(res, 200, 'E-Mail-Adresse bestätigt', 'Ihre E-Mail-Adresse wurde bereits bestätigt.');
     }
-    res.render('showroom', { products, error: null });
+    db.run(
+      'UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [user.id],
+      err => {
+        if (err) {
+          return renderNotice(res, 500, 'Fehler', 'Die E-Mail-Adresse konnte nicht bestätigt werden.');
+        }
+        renderNotice(res, 200, 'E-Mail-Adresse bestätigt', 'Vielen Dank, Ihre E-Mail-Adresse wurde bestätigt.');
+      }
+    );
   });
 });
 
-// Admin dashboard: list unapproved users and allow approval
-app.get('/admin', requireAuth, (req, res) => {
-  if (!req.session.user.is_admin) {
-    return res.redirect('/showroom');
+// Request a new verification link.
+app.get('/verify-email/resend', (req, res) => {
+  res.render('verify-email-resend', { errors: [] });
+});
+
+app.post('/verify-email/resend', (req, res) => {
+  const identifier = (req.body.email || '').trim();
+  if (!identifier) {
+    return res.render('verify-email-resend', { errors: [{ msg: 'Bitte geben Sie Ihren Benutzernamen oder Ihre E-Mail-Adresse an.' }] });
   }
-  // Include additional columns (username, phone, newsletter_opt_in) when listing users for the admin
-  db.all('SELECT id, username, email, phone, is_admin, approved, newsletter_opt_in FROM users WHERE id != ?', [req.session.user.id], (err, users) => {
-    if (err) {
-      return res.render('admin', { users: [], error: 'Fehler beim Abrufen der Benutzerliste.' });
+  db.get('SELECT * FROM users WHERE email = ? OR username = ?', [identifier, identifier], (err, user) => {
+    if (!err && user && !user.email_verified) {
+      sendVerificationMail(user);
     }
-    res.render('admin', { users, error: null });
+    renderNotice(res, 200, 'Bestätigungslink angefordert',
+      'Falls ein Konto mit unbestätigter E-Mail-Adresse existiert, haben wir einen neuen Bestätigungslink gesendet.');
   });
 });
 
-// Admin approves a user
-app.post('/admin/approve/:id', requireAuth, (req, res) => {
-  if (!req.session.user.is_admin) {
-    return res.status(403).send('Nicht autorisiert');
+// Request a password reset link.
+app.get('/forgot-password', (req, res) => {
+  res.render('forgot-password', { errors: [] });
+});
+
+app.post('/forgot-password', (req, res) => {
+  const identifier = (req.body.email || '').trim();
+  if (!identifier) {
+    return res.render('forgot-password', { errors: [{ msg: 'Bitte geben Sie Ihren Benutzernamen oder Ihre E-Mail-Adresse an.' }] });
   }
-  const userId = req.params.id;
-  db.run('UPDATE users SET approved = 1 WHERE id = ?', [userId], err => {
-    if (err) {
-      return res.status(500).send('Fehler beim Aktualisieren des Benutzers');
+  db.get('SELECT * FROM users WHERE email = ? OR username = ?', [identifier, identifier], (err, user) => {
+    if (!err && user && !user.blocked && user.email && user.email.includes('@')) {
+      sendPasswordResetMail(user);
     }
-    res.redirect('/admin');
+    renderNotice(res, 200, 'Passwort zurücksetzen',
+      'Falls ein Konto zu Ihren Angaben existiert, haben wir Ihnen einen Link zum Zurücksetzen des Passworts per E-Mail gesendet.');
   });
 });
 
-// Admin product management
+// Set a new password with the link from the reset mail. All sessions of
+// the user are ended afterwards.
+function invalidResetLink(res) {
+  renderNotice(res, 400, 'Link ungültig',
+    'Der Link zum Zurücksetzen des Passworts ist ungültig, abgelaufen oder wurde bereits verwendet.');
+}
 
-// List all products
-app.get('/admin/products', requireAdmin, (req, res) => {
-  db.all('SELECT * FROM products', [], (err, products) => {
-    if (err) {
-      return res.render('admin-products', { products: [], error: 'Fehler beim Abrufen der Sorten.' });
+app.get('/reset-password', (req, res) => {
+  userForToken(req.query.token, 'reset-password', user => user.password_hash, user => {
+    if (!user) return invalidResetLink(res);
+    res.render('reset-password', { token: req.query.token, errors: [] });
+  });
+});
+
+app.post('/reset-password', (req, res) => {
+  const { token, password, confirm_password } = req.body;
+  userForToken(token, 'reset-password', user => user.password_hash, async user => {
+    if (!user) return invalidResetLink(res);
+    const errors = passwordErrors(password, { strong: Boolean(user.is_admin) }).map(msg => ({ msg }));
+    if (errors.length === 0 && password !== confirm_password) {
+      errors.push({ msg: 'Passwörter stimmen nicht überein.' });
+    }
+    if (errors.length > 0) {
+      return res.status(400).render('reset-password', { token, errors });
+    }
+    try {
+      const hash = await bcrypt.hash(password, 10);
+      db.run('UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?', [hash, user.id], err => {
+        if (err) {
+          return res.status(500).render('reset-password', { token, errors: [{ msg: 'Fehler beim Speichern des Passworts.' }] });
+        }
+        recordAudit(req, 'password_reset', 'user', user.id, null, user);
+        destroyUserSessions(user.id, () => {
+          renderNotice(res, 200, 'Passwort geändert',
+            'Ihr Passwort wurde geändert. Sie können sich jetzt mit dem neuen Passwort anmelden.');
+        });
+      });
+    } catch (e) {
+      return res.status(500).render('reset-password', { token, errors: [{ msg: 'Fehler beim Speichern des Passworts.' }] });
     }
-    res.render('admin-products', { products, error: null });
   });
 });
 
-// New product form
-app.get('/admin/products/new', requireAdmin, (req, res) => {
-  res.render('admin-product-form', { product: null, errors: [] });
+// Change the password of the logged-in user. Users with default or
+// generated credentials are sent here after login and cannot use the
+// application before they have chosen their own password.
+app.get('/change-password', (req, res) => {
+  if (!req.session.user) {
+    return res.redirect('/login');
+  }
+  res.render('change-password', { errors: [], forced: Boolean(req.session.user.must_change_password) });
 });
 
-// Create new product
-app.post('/admin/products/new', requireAdmin, upload.single('imageFile'), (req, res) => {
-  /*
-   * Extract form values for a new product. In addition to the basic fields
-   * (title, description, price), we support optional metadata fields for
-   * THC, CBD, effects, aroma and terpenes. Images can be uploaded via
-   * multipart/form-data; if no file is uploaded, the placeholder image
-   * is used. All inputs are validated and errors result in the form
-   * being re-rendered.
-   */
-  const {
-    title,
-    description,
-    price,
-    thc,
-    cbd,
-    effects,
-    aroma,
-    terpenes
-  } = req.body;
-  const errors = [];
+app.post('/change-password', (req, res) => {
+  if (!req.session.user) {
+    return res.redirect('/login');
+  }
+  const { current_password, password, confirm_password } = req.body;
+  const forced = Boolean(req.session.user.must_change_password);
+  const render = (status, errors) => res.status(status).render('change-password', { errors, forced });
+  db.get('SELECT * FROM users WHERE id = ?', [req.session.user.id], async (err, user) => {
+    if (err || !user) {
+      return render(500, [{ msg: 'Fehler beim Abrufen des Benutzers.' }]);
+    }
+    try {
+      if (!current_password || !(await bcrypt.compare(current_password, user.password_hash))) {
+        return render(400, [{ msg: 'Das aktuelle Passwort ist falsch.' }]);
+      }
+      const errors = passwordErrors(password, { strong: Boolean(user.is_admin) }).map(msg => ({ msg }));
+      if (errors.length === 0 && password === current_password) {
+        errors.push({ msg: 'Das neue Passwort muss sich vom bisherigen unterscheiden.' });
+      }
+      if (errors.length === 0 && password !== confirm_password) {
+        errors.push({ msg: 'Passwörter stimmen nicht überein.' });
+      }
+      if (errors.length > 0) {
+        return render(400, errors);
+      }
+      const hash = await bcrypt.hash(password, 10);
+      db.run('UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?', [hash, user.id], err2 => {
+        if (err2) {
+          return render(500, [{ msg: 'Fehler beim Speichern des Passworts.' }]);
+        }
+        recordAudit(req, 'password_change', 'user', user.id);
+        req.session.user.must_change_password = false;
+        res.redirect(user.is_admin ? '/admin' : '/showroom');
+      });
+    } catch (e) {
+      return render(500, [{ msg: 'Fehler beim Speichern des Passworts.' }]);
+    }
+  });
+});
+
+// The tags of the products with the given ids, in their order, as
+// { productId: { effects: [...], aroma: [...], terpenes: [...] } }.
+function loadProductTags(ids, callback) {
+  if (ids.length === 0) return callback(null, {});
+  db.all(
+    `SELECT pt.product_id, t.kind, t.name FROM product_tags pt JOIN tags t ON t.id = pt.tag_id
+     WHERE pt.product_id IN (${ids.map(() => '?').join(', ')}) ORDER BY pt.position, t.name`,
+    ids,
+    (err, rows) => {
+      if (err) return callback(err);
+      const tags = {};
+      rows.forEach(row => {
+        const product = tags[row.product_id] || (tags[row.product_id] = {});
+        (product[row.kind] || (product[row.kind] = [])).push(row.name);
+      });
+      callback(null, tags);
+    }
+  );
+}
+
+// The products matching the showroom filters, described with their ranges
+// and tags (see describeProduct()).
+function findShowroomProducts(filters, callback) {
+  const { where, params, orderBy } = showroomSql(filters);
+  db.all(`SELECT p.* FROM products p WHERE ${where} ORDER BY ${orderBy}`, params, (err, rows) => {
+    if (err) return callback(err);
+    loadProductTags(rows.map(r => r.id), (err2, tags) => {
+      if (err2) return callback(err2);
+      callback(null, rows.map(row => describeProduct(row, tags[row.id])));
+    });
+  });
+}
+
+// Showroom for regular users
+app.get('/showroom', requireAuth, (req, res) => {
+  // Only non-admin users should access showroom
+  if (req.session.user.is_admin) {
+    return res.redirect('/admin');
+  }
+  const filters = parseShowroomFilters(req.query);
+  const render = (err, products = [], total = 0, tagRows = []) => res.render('showroom', {
+    products,
+    total,
+    facets: showroomFacets(tagRows),
+    filters,
+    queryString: showroomQueryString(filters),
+    strainTypes: STRAIN_TYPES,
+    sorts: SHOWROOM_SORTS,
+    error: err ? 'Fehler beim Abrufen der Produkte.' : null
+  });
+  findShowroomProducts(filters, (err, products) => {
+    if (err) return render(err);
+    db.get('SELECT COUNT(*) AS count FROM products', [], (err2, row) => {
+      if (err2) return render(err2);
+      db.all(
+        'SELECT DISTINCT t.kind, t.name FROM tags t JOIN product_tags pt ON pt.tag_id = t.id',
+        [],
+        (err3, tagRows) => render(err3, products, row.count, tagRows)
+      );
+    });
+  });
+});
+
+// Number of related strains on the product page.
+const RELATED_PRODUCTS = 3;
+
+// Product page of the showroom with the full strain profile: THC/CBD,
+// type, genetics, tags, the terpene profile, the image gallery and related
+// strains. Related strains share tags or the strain type with the product,
+// the ones with the most in common first. Active strains can be put on a
+// new prescription from here.
+app.get('/showroom/:id', requireAuth, (req, res) => {
+  if (req.session.user.is_admin) {
+    return res.redirect(`/admin/products/${encodeURIComponent(req.params.id)}`);
+  }
+  db.get('SELECT * FROM products WHERE id = ?', [req.params.id], (err, row) => {
+    if (err) {
+      return renderNotice(res, 500, 'Fehler', 'Die Sorte konnte nicht geladen werden.');
+    }
+    if (!row) {
+      return res.status(404).render('404');
+    }
+    loadProductTags([row.id], (err2, tags) => {
+      loadProductProfile(row.id, (err3, profile) => {
+        if (err2 || err3) {
+          return renderNotice(res, 500, 'Fehler', 'Die Sorte konnte nicht geladen werden.');
+        }
+        db.all(
+          `SELECT * FROM (
+             SELECT p.*,
+               (SELECT COUNT(*) FROM product_tags a JOIN product_tags b ON b.tag_id = a.tag_id
+                 WHERE a.product_id = p.id AND b.product_id = ?)
+               + (COALESCE(p.strain_type, '') <> '' AND p.strain_type = ?) AS score
+             FROM products p WHERE p.id <> ?
+           ) WHERE score > 0 ORDER BY score DESC, title COLLATE NOCASE LIMIT ?`,
+          [row.id, row.strain_type || '', row.id, RELATED_PRODUCTS],
+          (err4, related) => {
+            const maxAmount = Math.max(0, ...profile.terpenes.map(t => t.amount || 0));
+            res.render('showroom-product', {
+              product: describeProduct(row, tags[row.id]),
+              terpeneChart: profile.terpenes
+                .filter(t => t.amount != null)
+                .map(t => ({
+                  name: t.name,
+                  label: formatPercent(t.amount, t.amount),
+                  width: maxAmount > 0 ? Math.round((t.amount / maxAmount) * 100) : 0
+                })),
+              gallery: [row.image].concat(profile.images.map(image => image.image)),
+              related: err4 ? [] : related.map(r => describeProduct(r)),
+              strainTypes: STRAIN_TYPES
+            });
+          }
+        );
+      });
+    });
+  });
+});
+
+// JSON API of the showroom with the same filters as the page, e.g.
+// /api/products?thc_min=20&effects=Relaxed&sort=price_asc
+app.get('/api/products', requireAuth, (req, res) => {
+  const filters = parseShowroomFilters(req.query);
+  findShowroomProducts(filters, (err, rows) => {
+    if (err) {
+      return res.status(500).json({ error: 'Fehler beim Abrufen der Produkte.' });
+    }
+    const products = rows.map(p => ({
+      id: p.id,
+      title: p.title,
+      description: p.description,
+      price: p.price,
+      image: `/uploads/${p.image}`,
+      strain_type: p.strain_type || null,
+      genetics: p.genetics || null,
+      thc: p.thc || null,
+      cbd: p.cbd || null,
+      thc_range: p.thcRange,
+      cbd_range: p.cbdRange,
+      effects: p.effectList,
+      aroma: p.aromaList,
+      terpenes: p.terpeneList
+    }));
+    res.json({ filters, count: products.length, products });
+  });
+});
+
+// Admin dashboard: list unapproved users and allow approval
+/*
+ * User management
+ *
+ * Admins approve, reject, block and delete accounts, change roles and edit
+ * contact data. Every action is confirmed on a separate page, recorded in
+ * user_admin_actions with its reason, and actions that change what a user
+ * may do end all of the user's sessions so that they take effect at once.
+ */
+
+const USERS_PER_PAGE = 20;
+
+// Available actions on a user. `allowed` decides whether the action is
+// offered for a user, `update` is the SET clause applied to the users row
+// (delete removes the account instead) and `logout` ends the user's
+// sessions afterwards.
+const USER_ACTIONS = {
+  approve: {
+    label: 'Freigeben',
+    allowed: u => !u.approved && !u.blocked,
+    update: 'approved = 1, rejected = 0'
+  },
+  reject: {
+    label: 'Registrierung ablehnen',
+    reasonRequired: true,
+    allowed: u => !u.approved && !u.rejected && !u.is_admin,
+    update: 'rejected = 1',
+    logout: true
+  },
+  revoke: {
+    label: 'Freigabe entziehen',
+    reasonRequired: true,
+    allowed: u => u.approved && !u.is_admin,
+    update: 'approved = 0',
+    logout: true
+  },
+  block: {
+    label: 'Sperren',
+    reasonRequired: true,
+    allowed: u => !u.blocked,
+    update: 'blocked = 1',
+    logout: true
+  },
+  unblock: {
+    label: 'Entsperren',
+    allowed: u => u.blocked,
+    update: 'blocked = 0'
+  },
+  promote: {
+    label: 'Zum Admin machen',
+    reasonRequired: true,
+    allowed: u => !u.is_admin && !u.blocked,
+    update: 'is_admin = 1, approved = 1, rejected = 0',
+    logout: true
+  },
+  demote: {
+    label: 'Adminrechte entziehen',
+    reasonRequired: true,
+    allowed: u => u.is_admin,
+    update: 'is_admin = 0',
+    logout: true
+  },
+  reset_2fa: {
+    label: 'Zwei-Faktor-Anmeldung zurücksetzen',
+    reasonRequired: true,
+    allowed: u => u.totp_enabled,
+    update: 'totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL',
+    logout: true
+  },
+  delete: {
+    label: 'Konto löschen',
+    reasonRequired: true,
+    allowed: () => true,
+    logout: true
+  }
+};
+
+// Labels for the user log; contact data changes are logged as 'edit'.
+const USER_ACTION_LABELS = {
+  ...Object.fromEntries(Object.entries(USER_ACTIONS).map(([key, action]) => [key, action.label])),
+  edit: 'Kontaktdaten geändert',
+  unlock_login: 'Anmeldesperre aufgehoben'
+};
+
+// Filters of the user list by account state.
+const USER_STATUS_FILTERS = {
+  pending: { label: 'Wartet auf Freigabe', where: 'approved = 0 AND COALESCE(rejected, 0) = 0 AND COALESCE(blocked, 0) = 0' },
+  approved: { label: 'Freigegeben', where: 'approved = 1 AND COALESCE(blocked, 0) = 0' },
+  rejected: { label: 'Abgelehnt', where: 'COALESCE(rejected, 0) = 1' },
+  blocked: { label: 'Gesperrt', where: 'COALESCE(blocked, 0) = 1' },
+  admin: { label: 'Admins', where: 'is_admin = 1' }
+};
+
+// Helper: account state of a user as shown to admins.
+function userStatusLabel(user) {
+  if (user.blocked) return 'Gesperrt';
+  if (user.rejected) return 'Abgelehnt';
+  if (user.approved || user.is_admin) return 'Freigegeben';
+  return 'Wartet auf Freigabe';
+}
+
+// Helper: end all sessions of a user by removing them from the
+// connect-sqlite3 store. The user is logged out with the next request.
+function destroyUserSessions(userId, callback) {
+  sessionStore.db.run(
+    "DELETE FROM sessions WHERE json_extract(sess, '$.user.id') = ?",
+    [Number(userId)],
+    err => {
+      if (err) console.error('Fehler beim Beenden der Sitzungen:', err.message);
+      if (callback) callback(err);
+    }
+  );
+}
+
+// Helper: record a user management action.
+function logUserAction(userId, adminId, action, reason, callback) {
+  db.run(
+    'INSERT INTO user_admin_actions (user_id, admin_id, action, reason) VALUES (?, ?, ?, ?)',
+    [userId, adminId, action, reason || null],
+    err => {
+      if (err) console.error('Fehler beim Protokollieren der Benutzeraktion:', err.message);
+      if (callback) callback(err);
+    }
+  );
+}
+
+// Helper: carry out a user action. The callback receives an Error whose
+// message can be shown to the admin.
+function performUserAction(actionKey, userId, admin, reason, callback) {
+  const action = USER_ACTIONS[actionKey];
+  if (!action) return callback(new Error('Unbekannte Aktion.'));
+  if (Number(userId) === admin.id) {
+    return callback(new Error('Sie können diese Aktion nicht auf Ihr eigenes Konto anwenden.'));
+  }
+  if (action.reasonRequired && !reason) {
+    return callback(new Error('Bitte geben Sie einen Grund an.'));
+  }
+  db.get('SELECT * FROM users WHERE id = ?', [userId], (err, user) => {
+    if (err) return callback(new Error('Fehler beim Laden des Benutzers.'));
+    if (!user) return callback(new Error('Benutzer nicht gefunden.'));
+    if (!action.allowed(user)) {
+      return callback(new Error(`„${action.label}“ ist für dieses Konto nicht möglich.`));
+    }
+    const finish = err2 => {
+      if (err2) return callback(new Error('Fehler beim Aktualisieren des Benutzers.'));
+      logUserAction(user.id, admin.id, actionKey, reason, () => {
+        if (!action.logout) return callback(null);
+        destroyUserSessions(user.id, () => callback(null));
+      });
+    };
+    if (actionKey === 'delete') {
+      return deleteUserAccount(user.id, admin.id, err2 => (err2
+        ? callback(new Error('Das Konto konnte nicht gelöscht werden, es wurden keine Daten verändert.'))
+        : finish(null)));
+    }
+    db.run(`UPDATE users SET ${action.update} WHERE id = ?`, [user.id], finish);
+  });
+}
+
+// Helper: delete a user account (right to erasure). Prescriptions have to
+// be archived, so they are kept but anonymised: the link to the account
+// and all patient details are removed. Everything else stored about the
+// user is deleted, except the messages the user sent to other users.
+// Pending deletion requests are marked as done by
+// `adminId`. The audit log is append-only and keeps its entries. All steps
+// run in one transaction: if one fails, nothing is changed and the
+// deletion request stays pending.
+function deleteUserAccount(userId, adminId, callback) {
+  runInTransaction(async tx => {
+    await tx.run(
+      `UPDATE prescriptions SET user_id = NULL, patient_name = NULL, patient_first_name = NULL,
+         patient_last_name = NULL, patient_address = NULL, patient_zip = NULL, patient_city = NULL,
+         patient_birth = NULL, insurance_number = NULL, patient_key = NULL
+       WHERE user_id = ?`,
+      [userId]
+    );
+    await tx.run(
+      `UPDATE private_prescriptions SET user_id = NULL, first_name = '', last_name = '', street = '',
+         house_number = '', zip_code = '', city = '', birthdate = ''
+       WHERE user_id = ?`,
+      [userId]
+    );
+    await tx.run('DELETE FROM patient_profiles WHERE user_id = ?', [userId]);
+    // Messages to the user and the user's own messages to the practice are
+    // deleted. Messages the user sent to others (as admin: replies, status
+    // notifications, newsletters) belong to the recipients and stay,
+    // without the sender.
+    await tx.run('DELETE FROM messages WHERE recipient_id = ? OR (recipient_id IS NULL AND sender_id = ?)', [userId, userId]);
+    await tx.run('UPDATE messages SET sender_id = NULL WHERE sender_id = ?', [userId]);
+    await tx.run('DELETE FROM user_admin_actions WHERE user_id = ?', [userId]);
+    await tx.run("DELETE FROM login_failures WHERE kind = 'account' AND subject = ?", [String(userId)]);
+    await tx.run('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    await tx.run('DELETE FROM outbox WHERE user_id = ?', [userId]);
+    await tx.run('DELETE FROM newsletter_consents WHERE user_id = ?', [userId]);
+    await tx.run(
+      "UPDATE deletion_requests SET status = 'completed', processed_at = CURRENT_TIMESTAMP, processed_by = ?, reason = NULL WHERE user_id = ? AND status = 'pending'",
+      [adminId, userId]
+    );
+    await tx.run('DELETE FROM users WHERE id = ?', [userId]);
+  }).then(
+    () => callback(null),
+    err => {
+      console.error('Fehler beim Löschen des Kontos:', err.message);
+      callback(err);
+    }
+  );
+}
+
+// Admin dashboard: list of users with search (?q=), state filter
+// (?status=) and pagination (?page=).
+app.get('/admin', requireAuth, auditRead('list', 'user'), (req, res) => {
+  if (!req.session.user.is_admin) {
+    return res.redirect('/showroom');
+  }
+  const q = (req.query.q || '').trim();
+  const status = USER_STATUS_FILTERS[req.query.status] ? req.query.status : '';
+  const conditions = ['id != ?'];
+  const params = [req.session.user.id];
+  if (q) {
+    conditions.push('(username LIKE ? OR email LIKE ? OR phone LIKE ?)');
+    const like = `%${q}%`;
+    params.push(like, like, like);
+  }
+  if (status) {
+    conditions.push(USER_STATUS_FILTERS[status].where);
+  }
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const renderList = (users, page, pageCount, total, error) => {
+    listLoginLocks((err, locks) => {
+      db.get(`SELECT (SELECT COUNT(*) FROM deletion_requests WHERE status = 'pending') AS count,
+          (SELECT COUNT(*) FROM outbox WHERE status = 'failed') AS failed_deliveries`, [], (err2, requests) => {
+        res.render('admin', {
+          users,
+          error,
+          q,
+          status,
+          statusFilters: USER_STATUS_FILTERS,
+          page,
+          pageCount,
+          total,
+          loginLockCount: err ? 0 : locks.length,
+          deletionRequestCount: err2 ? 0 : requests.count,
+          failedDeliveryCount: err2 ? 0 : requests.failed_deliveries
+        });
+      });
+    });
+  };
+  db.get(`SELECT COUNT(*) AS count FROM users ${where}`, params, (err, row) => {
+    if (err) {
+      return renderList([], 1, 1, 0, 'Fehler beim Abrufen der Benutzerliste.');
+    }
+    const total = row.count;
+    const pageCount = Math.max(1, Math.ceil(total / USERS_PER_PAGE));
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pageCount);
+    // Include additional columns (username, phone, newsletter_opt_in) when listing users for the admin
+    db.all(
+      `SELECT id, username, email, phone, is_admin, approved, newsletter_opt_in, blocked, rejected, email_verified, created_at FROM users ${where}
+       ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      params.concat([USERS_PER_PAGE, (page - 1) * USERS_PER_PAGE]),
+      (err2, users) => {
+        if (err2) {
+          return renderList([], page, pageCount, total, 'Fehler beim Abrufen der Benutzerliste.');
+        }
+        renderList(users.map(u => ({ ...u, statusLabel: userStatusLabel(u) })), page, pageCount, total, null);
+      }
+    );
+  });
+});
+
+// Admin approves a user
+app.post('/admin/approve/:id', requireAuth, (req, res) => {
+  if (!req.session.user.is_admin) {
+    return res.status(403).send('Nicht autorisiert');
+  }
+  performUserAction('approve', req.params.id, req.session.user, null, err => {
+    if (err) {
+      return res.status(500).send('Fehler beim Aktualisieren des Benutzers');
+    }
+    recordAudit(req, 'approve', 'user', req.params.id);
+    res.redirect('/admin');
+  });
+});
+
+// Admin: details of a user with contact data form, available actions and
+// the log of earlier actions.
+function renderAdminUser(req, res, errors, values) {
+  db.get(
+    `SELECT id, username, email, phone, is_admin, approved, newsletter_opt_in, newsletter_requested_at, blocked, rejected, email_verified, email_verified_at,
+       totp_enabled, created_at,
+       (SELECT MAX(requested_at) FROM deletion_requests WHERE user_id = users.id AND status = 'pending') AS deletion_requested_at
+     FROM users WHERE id = ?`,
+    [req.params.id],
+    (err, user) => {
+      if (err || !user) {
+        return res.status(404).render('404');
+      }
+      db.all(
+        `SELECT a.*, COALESCE(u.username, u.email) AS admin_name FROM user_admin_actions a
+         LEFT JOIN users u ON u.id = a.admin_id
+         WHERE a.user_id = ? ORDER BY a.created_at DESC, a.id DESC`,
+        [user.id],
+        async (err2, log) => {
+          const isSelf = user.id === req.session.user.id;
+          const lockRow = await getLoginFailure('account', String(user.id)).catch(() => null);
+          const loginLock = lockRow && isLoginLockout(lockRow, Date.now())
+            ? { ...lockRow, lockedUntilDisplay: formatMillisGerman(lockRow.locked_until) }
+            : null;
+          res.status(errors.length > 0 ? 400 : 200).render('admin-user', {
+            user: {
+              ...user,
+              statusLabel: userStatusLabel(user),
+              createdAtDisplay: formatTimestampGerman(user.created_at),
+              emailVerifiedAtDisplay: user.email_verified_at ? formatTimestampGerman(user.email_verified_at) : '',
+              deletionRequestedAtDisplay: user.deletion_requested_at ? formatTimestampGerman(user.deletion_requested_at) : ''
+            },
+            values: values || user,
+            errors,
+            actions: isSelf ? [] : Object.keys(USER_ACTIONS).filter(key => USER_ACTIONS[key].allowed(user)),
+            actionDefs: USER_ACTIONS,
+            loginLock,
+            log: (log || []).map(entry => ({
+              ...entry,
+              label: USER_ACTION_LABELS[entry.action] || entry.action,
+              createdAtDisplay: formatTimestampGerman(entry.created_at)
+            }))
+          });
+        }
+      );
+    }
+  );
+}
+
+app.get('/admin/users/:id(\\d+)', requireAdmin, auditRead('view', 'user'), (req, res) => {
+  renderAdminUser(req, res, [], null);
+});
+
+// Admin: change the contact data (username, email, phone) of a user.
+app.post('/admin/users/:id(\\d+)/edit', requireAdmin, (req, res) => {
+  const values = {
+    username: (req.body.username || '').trim(),
+    email: (req.body.email || '').trim(),
+    phone: (req.body.phone || '').trim()
+  };
+  const reason = (req.body.reason || '').trim();
+  const errors = [];
+  if (!values.username || !values.email) {
+    errors.push({ msg: 'Benutzername und E-Mail sind erforderlich.' });
+  } else if (!/^[^\s@]+@[^\s@]+$/.test(values.email)) {
+    errors.push({ msg: 'Bitte geben Sie eine gültige E-Mail-Adresse an.' });
+  }
+  if (errors.length > 0) {
+    return renderAdminUser(req, res, errors, values);
+  }
+  // A changed e-mail address has to be confirmed again.
+  db.run(
+    `UPDATE users SET username = ?, email = ?, phone = ?,
+       email_verified = CASE WHEN email = ? THEN email_verified ELSE 0 END,
+       email_verified_at = CASE WHEN email = ? THEN email_verified_at ELSE NULL END
+     WHERE id = ?`,
+    [values.username, values.email, values.phone || null, values.email, values.email, req.params.id],
+    function (err) {
+      if (err) {
+        const msg = /UNIQUE/.test(err.message)
+          ? 'Benutzername oder E-Mail existiert bereits.'
+          : 'Fehler beim Speichern der Kontaktdaten.';
+        return renderAdminUser(req, res, [{ msg }], values);
+      }
+      if (this.changes === 0) {
+        return res.status(404).render('404');
+      }
+      recordAudit(req, 'update', 'user', req.params.id, reason);
+      logUserAction(req.params.id, req.session.user.id, 'edit', reason, () => {
+        res.redirect(`/admin/users/${req.params.id}`);
+      });
+    }
+  );
+});
+
+// Admin: confirmation page for a user action.
+function renderUserActionConfirm(req, res, error) {
+  const action = USER_ACTIONS[req.params.action];
+  db.get('SELECT id, username, email, is_admin, approved, blocked, rejected, email_verified FROM users WHERE id = ?', [req.params.id], (err, user) => {
+    if (err || !user || !action) {
+      return res.status(404).render('404');
+    }
+    res.status(error ? 400 : 200).render('admin-user-action', {
+      user,
+      actionKey: req.params.action,
+      action,
+      reason: req.body && req.body.reason ? req.body.reason : '',
+      error
+    });
+  });
+}
+
+app.get('/admin/users/:id(\\d+)/:action(approve|reject|revoke|block|unblock|promote|demote|reset_2fa|delete)', requireAdmin, (req, res) => {
+  renderUserActionConfirm(req, res, null);
+});
+
+app.post('/admin/users/:id(\\d+)/:action(approve|reject|revoke|block|unblock|promote|demote|reset_2fa|delete)', requireAdmin, (req, res) => {
+  if (!req.body.confirm) {
+    return renderUserActionConfirm(req, res, 'Bitte bestätigen Sie die Aktion.');
+  }
+  const reason = (req.body.reason || '').trim();
+  performUserAction(req.params.action, req.params.id, req.session.user, reason, err => {
+    if (err) {
+      return renderUserActionConfirm(req, res, err.message);
+    }
+    recordAudit(req, req.params.action, 'user', req.params.id, reason);
+    res.redirect(req.params.action === 'delete' ? '/admin' : `/admin/users/${req.params.id}`);
+  });
+});
+
+// Admin: accounts, unknown identifiers and IP addresses that are locked
+// after too many failed logins.
+function listLoginLocks(callback) {
+  const now = Date.now();
+  db.all(
+    `SELECT f.*, u.id AS user_id, COALESCE(u.username, u.email) AS user_name FROM login_failures f
+     LEFT JOIN users u ON f.kind = 'account' AND u.id = CAST(f.subject AS INTEGER)
+     WHERE f.locked_until > ? ORDER BY f.locked_until DESC`,
+    [now],
+    (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.filter(row => isLoginLockout(row, now)).map(row => ({
+        ...row,
+        lastFailureDisplay: formatMillisGerman(row.last_failure_at),
+        lockedUntilDisplay: formatMillisGerman(row.locked_until)
+      })));
+    }
+  );
+}
+
+const LOGIN_LOCK_KINDS = {
+  account: 'Konto',
+  identifier: 'Unbekannter Name',
+  ip: 'IP-Adresse'
+};
+
+app.get('/admin/login-locks', requireAdmin, auditRead('list', 'login_lock', () => null), (req, res) => {
+  listLoginLocks((err, locks) => {
+    res.render('admin-login-locks', {
+      locks: locks || [],
+      kinds: LOGIN_LOCK_KINDS,
+      error: err ? 'Fehler beim Abrufen der Anmeldesperren.' : null
+    });
+  });
+});
+
+// Admin: lift a login lock. Unlocking an account is recorded in the log of
+// user management actions.
+app.post('/admin/login-locks/unlock', requireAdmin, (req, res) => {
+  const { kind, subject } = req.body;
+  if (!LOGIN_LOCK_KINDS[kind] || !subject) {
+    return res.redirect('/admin/login-locks');
+  }
+  clearLoginFailures(kind, subject, err => {
+    if (err) {
+      return res.status(500).render('admin-login-locks', {
+        locks: [],
+        kinds: LOGIN_LOCK_KINDS,
+        error: 'Fehler beim Aufheben der Sperre.'
+      });
+    }
+    const back = req.body.return_to === 'user' && kind === 'account'
+      ? `/admin/users/${encodeURIComponent(subject)}`
+      : '/admin/login-locks';
+    recordAudit(req, 'unlock_login', kind === 'account' ? 'user' : 'login_lock', subject);
+    if (kind !== 'account') return res.redirect(back);
+    logUserAction(subject, req.session.user.id, 'unlock_login', null, () => res.redirect(back));
+  });
+});
+
+const AUDIT_ENTRIES_PER_PAGE = 50;
+const AUDIT_FILTER_FIELDS = ['actor', 'action', 'entity', 'entity_id', 'ip', 'from', 'to'];
+
+// Build the WHERE clause for the audit log from the filter values in
+// `query`. `from` and `to` are local dates (YYYY-MM-DD), both inclusive.
+function auditLogFilter(query) {
+  const filters = {};
+  AUDIT_FILTER_FIELDS.forEach(field => {
+    filters[field] = typeof query[field] === 'string' ? query[field].trim() : '';
+  });
+  const conditions = [];
+  const params = [];
+  if (filters.actor) {
+    if (/^\d+$/.test(filters.actor)) {
+      conditions.push('(actor_id = ? OR actor_name LIKE ?)');
+      params.push(Number(filters.actor), `%${filters.actor}%`);
+    } else {
+      conditions.push('actor_name LIKE ?');
+      params.push(`%${filters.actor}%`);
+    }
+  }
+  ['action', 'entity', 'entity_id', 'ip'].forEach(field => {
+    if (filters[field]) {
+      conditions.push(`${field} = ?`);
+      params.push(filters[field]);
+    }
+  });
+  if (/^\d{4}-\d{2}-\d{2}$/.test(filters.from)) {
+    conditions.push("date(created_at, 'localtime') >= ?");
+    params.push(filters.from);
+  } else {
+    filters.from = '';
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(filters.to)) {
+    conditions.push("date(created_at, 'localtime') <= ?");
+    params.push(filters.to);
+  } else {
+    filters.to = '';
+  }
+  return {
+    filters,
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+    queryString: AUDIT_FILTER_FIELDS.filter(f => filters[f]).map(f => `${f}=${encodeURIComponent(filters[f])}`).join('&')
+  };
+}
+
+// Admin: browse the audit log with filters and pagination (?page=).
+app.get('/admin/audit', requireAdmin, auditRead('list', 'audit_log', () => null), (req, res) => {
+  const { filters, where, params, queryString } = auditLogFilter(req.query);
+  const renderList = (entries, page, pageCount, total, error) => {
+    db.all('SELECT DISTINCT action FROM audit_log ORDER BY action', [], (err, actions) => {
+      db.all('SELECT DISTINCT entity FROM audit_log ORDER BY entity', [], (err2, entities) => {
+        res.render('admin-audit', {
+          entries,
+          error,
+          filters,
+          queryString,
+          actions: err ? [] : actions.map(r => r.action),
+          entities: err2 ? [] : entities.map(r => r.entity),
+          page,
+          pageCount,
+          total
+        });
+      });
+    });
+  };
+  db.get(`SELECT COUNT(*) AS count FROM audit_log ${where}`, params, (err, row) => {
+    if (err) {
+      return renderList([], 1, 1, 0, 'Fehler beim Abrufen des Audit-Logs.');
+    }
+    const total = row.count;
+    const pageCount = Math.max(1, Math.ceil(total / AUDIT_ENTRIES_PER_PAGE));
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pageCount);
+    db.all(
+      `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      params.concat([AUDIT_ENTRIES_PER_PAGE, (page - 1) * AUDIT_ENTRIES_PER_PAGE]),
+      (err2, entries) => {
+        if (err2) {
+          return renderList([], page, pageCount, total, 'Fehler beim Abrufen des Audit-Logs.');
+        }
+        renderList(entries.map(e => ({ ...e, createdAtDisplay: formatTimestampGerman(e.created_at) })), page, pageCount, total, null);
+      }
+    );
+  });
+});
+
+// Admin: export the (filtered) audit log as CSV
+app.get('/admin/audit/csv', requireAdmin, auditRead('export', 'audit_log', () => null), (req, res) => {
+  const { where, params } = auditLogFilter(req.query);
+  db.all(`SELECT * FROM audit_log ${where} ORDER BY id`, params, (err, rows) => {
+    if (err) {
+      return res.status(500).send('Fehler beim Exportieren des Audit-Logs.');
+    }
+    const columns = ['id', 'created_at', 'actor_id', 'actor_name', 'action', 'entity', 'entity_id', 'ip', 'details'];
+    let csv = `${columns.join(',')}\n`;
+    rows.forEach(r => {
+      csv += columns.map(c => `"${String(r[c] === null ? '' : r[c]).replace(/"/g, '""')}"`).join(',') + '\n';
+    });
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    res.send(csv);
+  });
+});
+
+// Admin: pending deletion requests. They are carried out with the
+// 'delete' user action on the account page.
+app.get('/admin/deletion-requests', requireAdmin, auditRead('list', 'deletion_request', () => null), (req, res) => {
+  db.all(
+    `SELECT r.*, COALESCE(u.username, u.email) AS user_name, u.is_admin FROM deletion_requests r
+     JOIN users u ON u.id = r.user_id
+     WHERE r.status = 'pending' ORDER BY r.requested_at, r.id`,
+    [],
+    (err, requests) => {
+      res.render('admin-deletion-requests', {
+        error: err ? 'Fehler beim Abrufen der Löschanträge.' : null,
+        requests: (requests || []).map(r => ({ ...r, requestedAtDisplay: formatTimestampGerman(r.requested_at) }))
+      });
+    }
+  );
+});
+
+// Admin product management
+
+// List all products
+app.get('/admin/products', requireAdmin, (req, res) => {
+  db.all('SELECT * FROM products', [], (err, products) => {
+    if (err) {
+      return res.render('admin-products', { products: [], error: 'Fehler beim Abrufen der Sorten.' });
+    }
+    res.render('admin-products', { products, error: null });
+  });
+});
+
+// Read the cannabis metadata of the product form. THC and CBD are entered
+// as a range in percent; a single value stands for both ends. The text
+// columns thc, cbd, effects, aroma and terpenes are derived from the range
+// and the tags so that they stay in sync for older readers. The content of
+// the terpenes comes as the lists terpene_amount_name and terpene_amount;
+// `terpeneAmounts` maps the lower-case names to the percentage or null.
+// Problems are added to `errors`.
+function productMetadataFromBody(body, errors) {
+  const meta = {
+    strain_type: STRAIN_TYPES[body.strain_type] ? body.strain_type : '',
+    genetics: String(body.genetics || '').trim().slice(0, 200),
+    tags: {},
+    terpeneAmounts: {}
+  };
+  ['thc', 'cbd'].forEach(field => {
+    const label = field.toUpperCase();
+    const read = key => {
+      const text = String(body[key] == null ? '' : body[key]).trim();
+      if (!text) return null;
+      const value = parseGermanNumber(text);
+      if (isNaN(value) || value < 0 || value > 100) {
+        errors.push({ msg: `${label} muss eine Zahl zwischen 0 und 100 sein.` });
+        return null;
+      }
+      return value;
+    };
+    let min = read(`${field}_min`);
+    let max = read(`${field}_max`);
+    if (min === null) min = max;
+    if (max === null) max = min;
+    if (min !== null && min > max) {
+      errors.push({ msg: `${label}: Der Mindestwert darf nicht größer als der Höchstwert sein.` });
+    }
+    meta[`${field}_min`] = min;
+    meta[`${field}_max`] = max;
+    meta[field] = formatPercent(min, max);
+  });
+  Object.keys(TAG_KINDS).forEach(kind => {
+    meta.tags[kind] = splitTags(body[kind]);
+    meta[kind] = meta.tags[kind].join(', ');
+  });
+  const amounts = [].concat(body.terpene_amount || []);
+  [].concat(body.terpene_amount_name || []).forEach((name, index) => {
+    const text = String(amounts[index] || '').trim();
+    const value = text ? parseGermanNumber(text) : null;
+    if (value !== null && (isNaN(value) || value < 0 || value > 100)) {
+      errors.push({ msg: `Der Gehalt von ${name} muss eine Zahl zwischen 0 und 100 sein.` });
+      return;
+    }
+    meta.terpeneAmounts[String(name).toLowerCase()] = value;
+  });
+  return meta;
+}
+
+// The submitted values of the product form, to show them again.
+function productFormValues(id, body, image) {
+  const product = { id, image: image || '', active: body.active ? 1 : 0 };
+  ['title', 'description', 'price', 'thc_min', 'thc_max', 'cbd_min', 'cbd_max', 'strain_type', 'genetics']
+    .concat(Object.keys(TAG_KINDS))
+    .forEach(key => { product[key] = body[key]; });
+  const amounts = [].concat(body.terpene_amount || []);
+  product.terpeneProfile = [].concat(body.terpene_amount_name || [])
+    .map((name, index) => ({ name, amount: amounts[index] || '' }));
+  return product;
+}
+
+// Render the product form with the known tags as suggestions for the tag
+// pickers.
+function renderProductForm(res, product, errors) {
+  db.all('SELECT kind, name FROM tags ORDER BY name COLLATE NOCASE', [], (err, rows) => {
+    const tagOptions = {};
+    Object.keys(TAG_KINDS).forEach(kind => {
+      tagOptions[kind] = (rows || []).filter(row => row.kind === kind).map(row => row.name);
+    });
+    res.render('admin-product-form', { product, errors, tagKinds: TAG_KINDS, tagOptions });
+  });
+}
+
+// The columns of a product saved by the product form, with their values
+// from the form.
+const PRODUCT_FORM_COLUMNS = ['title', 'description', 'price', 'image', 'thc', 'cbd', 'thc_min', 'thc_max',
+  'cbd_min', 'cbd_max', 'effects', 'aroma', 'terpenes', 'strain_type', 'genetics', 'active'];
+
+function productFormColumnValues(body, price, image, meta) {
+  return [
+    body.title.trim(),
+    body.description.trim(),
+    price,
+    image,
+    meta.thc,
+    meta.cbd,
+    meta.thc_min,
+    meta.thc_max,
+    meta.cbd_min,
+    meta.cbd_max,
+    meta.effects,
+    meta.aroma,
+    meta.terpenes,
+    meta.strain_type,
+    meta.genetics,
+    body.active ? 1 : 0
+  ];
+}
+
+// Replace all tags of a product with `tags` ({ effects: [...], ... }) and
+// store the content of the terpenes given in `terpeneAmounts`. Runs in the
+// transaction `tx` (see saveProduct()).
+async function saveProductTags(tx, productId, tags, terpeneAmounts) {
+  for (const kind of Object.keys(TAG_KINDS)) {
+    await setProductTags(tx.connection, productId, kind, tags[kind] || [], kind === 'terpenes' ? terpeneAmounts : {});
+  }
+}
+
+// Add the uploaded gallery images to a product and remove the images with
+// the ids in `removeIds`, in the transaction `tx`. Removed files stay on
+// disk like replaced main images.
+async function saveProductImages(tx, productId, files, removeIds) {
+  const ids = [].concat(removeIds || []).map(Number).filter(Number.isInteger);
+  if (ids.length > 0) {
+    await tx.run(`DELETE FROM product_images WHERE product_id = ? AND id IN (${ids.map(() => '?').join(', ')})`, [productId].concat(ids));
+  }
+  for (const file of files || []) {
+    await tx.run(
+      `INSERT INTO product_images (product_id, image, position)
+       SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM product_images WHERE product_id = ?`,
+      [productId, file.filename, productId]
+    );
+  }
+}
+
+// Store a product from the product form in one transaction: the columns,
+// whose tag texts are a copy of the tag tables, the tags and the gallery.
+// Without `id` the product is created. Resolves with the product id.
+function saveProduct(id, values, meta, galleryFiles, removeImageIds) {
+  return runInTransaction(async tx => {
+    let productId = id;
+    if (productId) {
+      await tx.run(
+        `UPDATE products SET ${PRODUCT_FORM_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        values.concat([productId])
+      );
+    } else {
+      const result = await tx.run(
+        `INSERT INTO products (${PRODUCT_FORM_COLUMNS.join(', ')}) VALUES (${PRODUCT_FORM_COLUMNS.map(() => '?').join(', ')})`,
+        values
+      );
+      productId = result.lastID;
+    }
+    await saveProductTags(tx, productId, meta.tags, meta.terpeneAmounts);
+    await saveProductImages(tx, productId, galleryFiles, removeImageIds);
+    return productId;
+  });
+}
+
+// The uploaded files of a field of productUpload.
+function uploadedFiles(req, field) {
+  return (req.files && req.files[field]) || [];
+}
+
+// The terpenes of a product with their content, in their order, and the
+// gallery images, for the product form and the product page.
+function loadProductProfile(productId, callback) {
+  db.all(
+    `SELECT t.name, pt.amount FROM product_tags pt JOIN tags t ON t.id = pt.tag_id
+     WHERE pt.product_id = ? AND t.kind = 'terpenes' ORDER BY pt.position, t.name`,
+    [productId],
+    (err, terpenes) => {
+      if (err) return callback(err);
+      db.all('SELECT id, image FROM product_images WHERE product_id = ? ORDER BY position, id', [productId], (err2, images) => {
+        if (err2) return callback(err2);
+        callback(null, { terpenes, images });
+      });
+    }
+  );
+}
+
+// New product form
+app.get('/admin/products/new', requireAdmin, (req, res) => {
+  renderProductForm(res, null, []);
+});
+
+// Create new product
+app.post('/admin/products/new', requireAdmin, productUpload, (req, res) => {
+  /*
+   * Extract form values for a new product. In addition to the basic fields
+   * (title, description, price), we support optional metadata fields for
+   * the THC and CBD ranges, the effect, aroma and terpene tags, the strain
+   * type and genetics, and whether the product is active (may be
+   * prescribed). Images can be uploaded via multipart/form-data; if no main
+   * image is uploaded, the placeholder image is used. Further images go to
+   * the gallery. All inputs are validated and errors result in the form
+   * being re-rendered.
+   */
+  const { title, description, price } = req.body;
+  const errors = [];
+  if (!title || !description || !price) {
+    errors.push({ msg: 'Alle Felder außer Bild sind erforderlich.' });
+  }
+  const numericPrice = parseFloat(price);
+  if (isNaN(numericPrice) || numericPrice < 0) {
+    errors.push({ msg: 'Preis muss eine positive Zahl sein.' });
+  }
+  const meta = productMetadataFromBody(req.body, errors);
+  if (errors.length > 0) {
+    return renderProductForm(res, productFormValues(null, req.body), errors);
+  }
+  // Determine file name: use uploaded file if present, otherwise fallback to placeholder
+  let imageFile = 'placeholder.png';
+  if (uploadedFiles(req, 'imageFile').length > 0) {
+    imageFile = uploadedFiles(req, 'imageFile')[0].filename;
+  }
+  saveProduct(null, productFormColumnValues(req.body, numericPrice, imageFile, meta), meta, uploadedFiles(req, 'galleryFiles'), [])
+    .then(productId => {
+      recordAudit(req, 'create', 'product', productId);
+      res.redirect('/admin/products');
+    })
+    .catch(err => {
+      console.error('Fehler beim Erstellen der Sorte:', err.message);
+      renderProductForm(res, productFormValues(null, req.body), [{ msg: 'Fehler beim Erstellen der Sorte.' }]);
+    });
+});
+
+// Product detail page
+app.get('/admin/products/:id', requireAdmin, (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM products WHERE id = ?', [id], (err, product) => {
+    if (err || !product) {
+      return res.redirect('/admin/products');
+    }
+    res.render('admin-product-detail', { product });
+  });
+});
+
+// Edit product form
+app.get('/admin/products/:id/edit', requireAdmin, (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM products WHERE id = ?', [id], (err, product) => {
+    if (err || !product) {
+      return res.redirect('/admin/products');
+    }
+    loadProductTags([product.id], (err2, tags) => {
+      const own = (tags && tags[product.id]) || {};
+      // The tag tables are authoritative; the text columns are only a copy.
+      Object.keys(TAG_KINDS).forEach(kind => {
+        if (own[kind]) product[kind] = own[kind].join(', ');
+      });
+      loadProductProfile(product.id, (err3, profile) => {
+        product.terpeneProfile = profile ? profile.terpenes : [];
+        product.gallery = profile ? profile.images : [];
+        renderProductForm(res, product, []);
+      });
+    });
+  });
+});
+
+// Update product
+app.post('/admin/products/:id/edit', requireAdmin, productUpload, (req, res) => {
+  const id = req.params.id;
+  const { title, description, price } = req.body;
+  const errors = [];
   if (!title || !description || !price) {
     errors.push({ msg: 'Alle Felder außer Bild sind erforderlich.' });
   }
-  const numericPrice = parseFloat(price);
-  if (isNaN(numericPrice) || numericPrice < 0) {
-    errors.push({ msg: 'Preis muss eine positive Zahl sein.' });
+  const numericPrice = parseFloat(price);
+  if (isNaN(numericPrice) || numericPrice < 0) {
+    errors.push({ msg: 'Preis muss eine positive Zahl sein.' });
+  }
+  const meta = productMetadataFromBody(req.body, errors);
+  if (errors.length > 0) {
+    // When validation errors occur we still render the form with the submitted
+    // fields populated. `req.body` does not include the image for multipart
+    // forms and no new file has been processed yet, so the image is left
+    // blank; the template handles missing images.
+    return renderProductForm(res, productFormValues(id, req.body), errors);
+  }
+  // Determine file name: if a new file is uploaded, use it; otherwise fall back to existing image name passed in hidden input
+  let newImage = null;
+  if (uploadedFiles(req, 'imageFile').length > 0) {
+    newImage = uploadedFiles(req, 'imageFile')[0].filename;
+  }
+  // Retrieve current image from DB if we need to keep it
+  db.get('SELECT image FROM products WHERE id = ?', [id], (imgErr, row) => {
+    if (imgErr || !row) {
+      return renderProductForm(res, productFormValues(id, req.body, row ? row.image : ''), [{ msg: 'Fehler beim Laden der bestehenden Sorte.' }]);
+    }
+    const imageFile = newImage || row.image;
+    saveProduct(id, productFormColumnValues(req.body, numericPrice, imageFile, meta), meta, uploadedFiles(req, 'galleryFiles'), req.body.remove_image)
+      .then(() => {
+        recordAudit(req, 'update', 'product', req.params.id);
+        res.redirect('/admin/products');
+      })
+      .catch(err => {
+        console.error('Fehler beim Aktualisieren der Sorte:', err.message);
+        renderProductForm(res, productFormValues(id, req.body, imageFile), [{ msg: 'Fehler beim Aktualisieren der Sorte.' }]);
+      });
+  });
+});
+
+// Delete product
+app.post('/admin/products/:id/delete', requireAdmin, (req, res) => {
+  const id = req.params.id;
+  db.run('DELETE FROM products WHERE id = ?', [id], function (err) {
+    if (!err && this.changes > 0) {
+      recordAudit(req, 'delete', 'product', id);
+      db.run('DELETE FROM product_tags WHERE product_id = ?', [id]);
+      db.run('DELETE FROM product_images WHERE product_id = ?', [id]);
+    }
+    // Ignore errors here and always redirect
+    res.redirect('/admin/products');
+  });
+});
+
+/*
+ * Unread message count API
+ *
+ * Returns a JSON object with the number of unread messages for the
+ * currently logged-in user, for admins including the practice inbox.
+ * The client-side script uses it to update the unread badge in the
+ * navigation bar when the event stream below is not available.
+ */
+app.get('/api/unread-count', requireAuth, (req, res) => {
+  countUnreadMessages(req.session.user.id, req.session.user.is_admin, (err, count) => {
+    res.json({ count: err ? 0 : count });
+  });
+});
+
+// Helper: number of unread messages of a user. Admins also see the unread
+// patient messages to the practice.
+function countUnreadMessages(userId, isAdmin, callback) {
+  db.get(
+    'SELECT COUNT(*) AS count FROM messages WHERE read_at IS NULL AND (recipient_id = ? OR (? AND recipient_id IS NULL))',
+    [userId, isAdmin ? 1 : 0],
+    (err, row) => callback(err, row ? row.count : 0)
+  );
+}
+
+/*
+ * Message event stream (Server-Sent Events)
+ *
+ * Pushes an 'unread' event with the current count when the stream is
+ * opened and whenever it changes, and a 'message' event for every new
+ * message. public/js/unread.js shows the count and a toast notification
+ * and falls back to polling /api/unread-count when SSE is not available.
+ */
+app.get('/api/messages/stream', requireAuth, (req, res) => {
+  const user = req.session.user;
+  const client = messageEvents.open(req, res, { userId: user.id, isAdmin: Boolean(user.is_admin) });
+  countUnreadMessages(user.id, user.is_admin, (err, count) => {
+    if (!err) messageEvents.sendTo(client, 'unread', { count });
+  });
+});
+
+// Helper: send the current unread count to the connected users matching
+// `filter` (a function of the stream info, see lib/event-stream.js).
+function pushUnreadCounts(filter) {
+  const users = new Map();
+  messageEvents.connected(filter).forEach(info => users.set(info.userId, info.isAdmin));
+  users.forEach((isAdmin, userId) => {
+    countUnreadMessages(userId, isAdmin, (err, count) => {
+      if (!err) messageEvents.send(info => info.userId === userId, 'unread', { count });
+    });
+  });
+}
+
+// Helper: announce new messages to their recipients. `recipientIds` null
+// means a message to the practice, which goes to all admins. Without a
+// threadId the notification links to the inbox.
+function notifyNewMessages(recipientIds, subject, threadId) {
+  const ids = recipientIds ? new Set(recipientIds.map(Number)) : null;
+  const filter = ids ? info => ids.has(info.userId) : info => info.isAdmin;
+  messageEvents.send(filter, 'message', info => ({
+    subject,
+    url: info.isAdmin ? `/admin/messages${threadId ? `/${threadId}` : ''}` : `/inbox${threadId ? `/${threadId}` : ''}`
+  }));
+  pushUnreadCounts(filter);
+}
+
+/*
+ * Delivery of messages by e-mail and SMS
+ *
+ * Every message is kept in the inbox. Users can additionally be notified
+ * by e-mail (to a verified address) and by SMS (see /settings). The
+ * deliveries are queued in the outbox and sent by the 'outbox' job;
+ * failed attempts are retried with exponential backoff.
+ */
+
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_RETRY_BASE_SECONDS = 60;
+const OUTBOX_BATCH_SIZE = 50;
+const SMS_MAX_LENGTH = 160;
+
+// Helper: the texts sent for a message on the delivery channels.
+function deliveryTexts(row) {
+  const base = appUrl();
+  const url = `${base}${row.is_admin ? '/admin/messages' : '/inbox'}/${row.thread_id || row.message_id}`;
+  const email = {
+    subject: row.subject || 'Neue Nachricht',
+    text: [
+      `Hallo ${row.username || row.email},`,
+      '',
+      'Sie haben eine neue Nachricht erhalten:',
+      '',
+      row.subject || '',
+      '',
+      row.body || '',
+      '',
+      `Zur Nachricht: ${url}`,
+      '',
+      `Sie erhalten diese E-Mail, weil Sie Benachrichtigungen per E-Mail aktiviert haben. Ändern können Sie das unter ${base}/settings.`
+    ].join('\n')
+  };
+  const prefix = 'Neue Nachricht: ';
+  const room = SMS_MAX_LENGTH - prefix.length - url.length - 1;
+  const subject = (row.subject || '').length > room ? `${row.subject.slice(0, Math.max(room - 1, 0))}…` : row.subject || '';
+  return { email, sms: `${prefix}${subject} ${url}` };
+}
+
+// Queue the deliveries of the messages matching `where` (a condition on
+// the messages m) for the recipients who asked for them. Messages to the
+// practice (without recipient) go to the admins.
+function queueMessageDelivery(where, params) {
+  db.all(
+    `SELECT m.id AS message_id, m.thread_id, m.subject, m.body, u.id AS user_id, u.username, u.email, u.phone,
+       u.is_admin, u.email_verified, u.notify_email, u.notify_sms
+     FROM messages m
+     JOIN users u ON u.id = m.recipient_id OR (m.recipient_id IS NULL AND u.is_admin = 1)
+     WHERE (${where}) AND COALESCE(u.blocked, 0) = 0 AND (u.notify_email = 1 OR u.notify_sms = 1)`,
+    params,
+    (err, rows) => {
+      if (err) {
+        console.error('Fehler beim Einreihen der Benachrichtigungen:', err.message);
+        return;
+      }
+      const entries = [];
+      rows.forEach(row => {
+        const texts = deliveryTexts(row);
+        if (row.notify_email && row.email_verified && row.email) {
+          entries.push([row.message_id, row.user_id, 'email', row.email, texts.email.subject, texts.email.text]);
+        }
+        if (row.notify_sms && row.phone) {
+          entries.push([row.message_id, row.user_id, 'sms', row.phone, null, texts.sms]);
+        }
+      });
+      if (entries.length === 0) return;
+      const stmt = db.prepare('INSERT INTO outbox (message_id, user_id, channel, recipient, subject, body) VALUES (?, ?, ?, ?, ?, ?)');
+      entries.forEach(entry => stmt.run(entry));
+      stmt.finalize(err2 => {
+        if (err2) console.error('Fehler beim Einreihen der Benachrichtigungen:', err2.message);
+        jobs.run('outbox');
+      });
+    }
+  );
+}
+
+// Sends the due outbox entries, see lib/outbox.js.
+const outboxDelivery = createOutboxDelivery({
+  db,
+  mailer,
+  smsSender,
+  maxAttempts: OUTBOX_MAX_ATTEMPTS,
+  retryBaseSeconds: OUTBOX_RETRY_BASE_SECONDS,
+  batchSize: OUTBOX_BATCH_SIZE
+});
+
+jobs.register('outbox', outboxDelivery.deliverDue);
+
+const OUTBOX_STATUS_LABELS = {
+  pending: 'Ausstehend',
+  sent: 'Versendet',
+  failed: 'Fehlgeschlagen'
+};
+const OUTBOX_ENTRIES_PER_PAGE = 50;
+
+// Admin: deliveries by e-mail and SMS, optionally filtered by status
+app.get('/admin/outbox', requireAdmin, auditRead('list', 'outbox', () => null), (req, res) => {
+  const status = OUTBOX_STATUS_LABELS[req.query.status] ? req.query.status : '';
+  const where = status ? 'WHERE o.status = ?' : '';
+  const params = status ? [status] : [];
+  db.get(`SELECT COUNT(*) AS count FROM outbox o ${where}`, params, (err, row) => {
+    const total = err ? 0 : row.count;
+    const pageCount = Math.max(1, Math.ceil(total / OUTBOX_ENTRIES_PER_PAGE));
+    const page = Math.min(Math.max(parseInt(req.query.page, 10) || 1, 1), pageCount);
+    db.all(
+      `SELECT o.id, o.message_id, o.user_id, o.channel, o.recipient, o.subject, o.status, o.attempts, o.next_attempt_at,
+         o.last_error, o.created_at, o.sent_at, COALESCE(u.username, u.email) AS user_name
+       FROM outbox o LEFT JOIN users u ON u.id = o.user_id
+       ${where} ORDER BY o.id DESC LIMIT ? OFFSET ?`,
+      params.concat([OUTBOX_ENTRIES_PER_PAGE, (page - 1) * OUTBOX_ENTRIES_PER_PAGE]),
+      (err2, entries) => {
+        res.render('admin-outbox', {
+          error: err || err2 ? 'Fehler beim Abrufen der Zustellungen.' : null,
+          entries: (entries || []).map(e => ({
+            ...e,
+            statusLabel: OUTBOX_STATUS_LABELS[e.status] || e.status,
+            createdAtDisplay: formatTimestampGerman(e.created_at),
+            sentAtDisplay: formatTimestampGerman(e.sent_at),
+            nextAttemptDisplay: formatTimestampGerman(e.next_attempt_at)
+          })),
+          status,
+          statusLabels: OUTBOX_STATUS_LABELS,
+          page,
+          pageCount,
+          total
+        });
+      }
+    );
+  });
+});
+
+// Admin: try a failed delivery again
+app.post('/admin/outbox/:id/retry', requireAdmin, (req, res) => {
+  db.run(
+    "UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'failed'",
+    [req.params.id],
+    function (err) {
+      if (err) {
+        return res.status(500).send('Fehler beim Wiederholen der Zustellung.');
+      }
+      if (this.changes > 0) {
+        recordAudit(req, 'retry', 'outbox', req.params.id);
+        jobs.run('outbox');
+      }
+      res.redirect('/admin/outbox?status=pending');
+    }
+  );
+});
+
+/*
+ * Prescription creation routes
+ *
+ * The GET route renders a form where the user (typically a doctor) can
+ * input all necessary data for a private cannabis prescription. The POST
+ * route stores the prescription in the database and redirects to a print
+ * view with the data positioned on an A6 template.
+ */
+// Helper: load the products that may be prescribed, i.e. the active ones.
+function listPrescribableProducts(callback) {
+  db.all('SELECT id, title, thc, cbd FROM products WHERE COALESCE(active, 1) = 1 ORDER BY title COLLATE NOCASE', [], (err, rows) => {
+    if (err) console.error('Fehler beim Laden der Sorten:', err.message);
+    callback(err ? [] : rows);
+  });
+}
+
+// Helper: render the prescription form. `formData` and `itemRows` hold the
+// values entered so far when the form is shown again after an error.
+// `limitViolations` lists exceeded limits that an admin may override.
+function renderPrescriptionForm(res, errors, formData, itemRows, products, limitViolations) {
+  if (!products) {
+    return listPrescribableProducts(list => renderPrescriptionForm(res, errors, formData, itemRows, list, limitViolations));
+  }
+  res.render('prescription-form', {
+    errors,
+    formData: formData || {},
+    products,
+    limits: PRESCRIPTION_LIMITS,
+    limitViolations: limitViolations || [],
+    itemRows: itemRows && itemRows.length > 0 ? itemRows : [{}, {}, {}],
+    administrationForms: ADMINISTRATION_FORMS,
+    dispensingForms: DISPENSING_FORMS,
+    defaultSingleDose: formatGermanNumber(DEFAULT_SINGLE_DOSE, 2),
+    defaultDailyDose: formatGermanNumber(DEFAULT_DAILY_DOSE, 2)
+  });
+}
+
+app.get('/prescriptions/new', requireAuth, auditRead('view', 'patient_profile', req => req.session.user.id), (req, res) => {
+  // Only approved users or admins may create prescriptions
+  if (!req.session.user.approved && !req.session.user.is_admin) {
+    return res.render('awaiting');
+  }
+  // Prefill the patient fields from the user's profile. Admins write
+  // prescriptions for different patients, so their form starts empty.
+  const render = profile => {
+    const formData = {};
+    if (profile) {
+      Object.assign(formData, {
+        patient_first_name: profile.first_name,
+        patient_last_name: profile.last_name,
+        patient_address: profile.address,
+        patient_zip: profile.zip,
+        patient_city: profile.city,
+        patient_birth: profile.birthdate,
+        insurance_number: profile.insurance_number
+      });
+    }
+    // "Auf Rezept setzen" on the product page in the showroom links here
+    // with the chosen strain in ?product_id=.
+    const itemRows = req.query.product_id ? [{ product_id: String(req.query.product_id) }, {}, {}] : null;
+    renderPrescriptionForm(res, [], formData, itemRows);
+  };
+  if (req.session.user.is_admin) return render(null);
+  loadPatientProfile(req.session.user.id, render);
+});
+
+app.post('/prescriptions/new', requireAuth, (req, res) => {
+  const {
+    patient_first_name,
+    patient_last_name,
+    patient_address,
+    patient_zip,
+    patient_city,
+    patient_birth,
+    doctor_number,
+    fee_confirmed
+  } = req.body;
+
+  const errors = [];
+
+  // Pflichtfelder: Name, Nachname, Adresse, Geburtsdatum
+  if (!patient_first_name || !patient_last_name || !patient_address || !patient_birth) {
+    errors.push({ msg: 'Bitte füllen Sie Name, Nachname, Adresse und Geburtsdatum aus.' });
+  }
+
+  if (!doctor_number) {
+    errors.push({ msg: 'Bitte geben Sie die Arzt-Nr. ein.' });
+  }
+
+  if (!patient_zip || !patient_city) {
+    errors.push({ msg: 'Bitte geben Sie Postleitzahl und Wohnort ein.' });
+  }
+
+  if (!fee_confirmed) {
+    errors.push({ msg: 'Bitte bestätigen Sie die Kosten von 10 € für die Erstellung des Privatrezeptes.' });
+  }
+
+  // Verordnungen: beliebig viele Zeilen, mindestens eine. Sorten müssen
+  // aktive Produkte aus dem Katalog sein.
+  const { items, rows: itemRows, errors: itemErrors } = parseItemsFromBody(req.body);
+  if (items.length === 0) {
+    errors.push({ msg: 'Bitte geben Sie mindestens eine Verordnung mit Menge und Sorte an.' });
+  }
+  itemErrors.forEach(msg => errors.push({ msg }));
+  checkFormats(itemRows, PRESCRIPTION_LIMITS).forEach(msg => errors.push({ msg }));
+
+  listPrescribableProducts(products => {
+    applyProductSnapshots(items, products).forEach(msg => errors.push({ msg }));
+    if (errors.length > 0) {
+      return renderPrescriptionForm(res, errors, req.body, itemRows, products);
+    }
+    // The rolling limit counts the prescriptions of the patient: the
+    // patient's own ones and those issued for the same person by admins.
+    const patient = {
+      userId: req.session.user.is_admin ? null : req.session.user.id,
+      key: patientKey(PATIENT_FIELD_CIPHER, patient_first_name, patient_last_name, formatPatientBirth(patient_birth))
+    };
+    checkPrescriptionLimits(patient, items, (err, violations) => {
+      if (err) {
+        return renderPrescriptionForm(res, [{ msg: 'Die Verordnungsmengen der letzten 30 Tage konnten nicht geprüft werden. Bitte versuchen Sie es erneut.' }], req.body, itemRows, products);
+      }
+      if (violations.length > 0) {
+        // Only admins may issue a prescription above the limits, and only
+        // with a reason that is stored with the prescription.
+        const reason = req.body.limit_override_reason ? req.body.limit_override_reason.trim() : '';
+        const override = req.session.user.is_admin && req.body.limit_override;
+        if (!override || !reason) {
+          const limitErrors = violations.map(msg => ({ msg }));
+          if (override && !reason) {
+            limitErrors.push({ msg: 'Bitte begründen Sie die Überschreitung der Grenzwerte.' });
+          }
+          return renderPrescriptionForm(res, limitErrors, req.body, itemRows, products, violations);
+        }
+        return savePrescription(req, res, items, itemRows, { violations, reason });
+      }
+      savePrescription(req, res, items, itemRows, null);
+    });
+  });
+});
+
+// Helper: check the items of a new prescription for `patient` against the
+// quantity limits, including the amount prescribed to the same patient in
+// the last 30 days (rejected prescriptions do not count). `patient` holds
+// the account of the patient (userId, null when an admin issues the
+// prescription) and the keyed hash of name and birthdate (key, see
+// patientKey()); a prescription counts when it belongs to the account or
+// names the same person. The patient data itself is encrypted and never
+// read here. The callback receives an error or the list of violations.
+function checkPrescriptionLimits(patient, items, callback) {
+  const violations = checkItemLimits(items, PRESCRIPTION_LIMITS);
+  db.get(
+    `SELECT COALESCE(SUM(i.grams), 0) AS grams
+     FROM prescriptions p JOIN prescription_items i ON i.prescription_id = p.id
+     WHERE COALESCE(p.status, 'submitted') != 'rejected' AND p.created_at >= datetime('now', '-30 days')
+       AND (p.user_id = ? OR p.patient_key = ?)`,
+    [patient.userId, patient.key],
+    (err, row) => {
+      if (err) {
+        console.error('Fehler beim Ermitteln der Verordnungsmenge:', err.message);
+        return callback(err);
+      }
+      callback(null, violations.concat(checkRollingLimit(items, row.grams, PRESCRIPTION_LIMITS)));
+    }
+  );
+}
+
+// Helper: the birthdate of the patient as printed on the prescription
+// (tt.mm.jj). Values that are no date are kept as entered.
+function formatPatientBirth(value) {
+  if (!value) return '';
+  const birthDate = new Date(value);
+  return isNaN(birthDate) ? value : formatDateGermanShort(birthDate);
+}
+
+// Helper: store a validated prescription from the form in `req.body` with
+// its medication items, then redirect to the success page. `override`
+// holds the exceeded limits and the admin's reason ({ violations, reason })
+// if the prescription was issued above the limits. When the items cannot
+// be stored the prescription is removed again and the form is shown with
+// an error.
+function savePrescription(req, res, items, itemRows, override) {
+  const {
+    patient_first_name,
+    patient_last_name,
+    patient_address,
+    patient_zip,
+    patient_city,
+    patient_birth,
+    insurance_number,
+    doctor_practice,
+    doctor_number
+  } = req.body;
+
+  const insurance = 'Privat';
+
+  const formattedBirth = formatPatientBirth(patient_birth);
+
+  const issueDate = calculateIssueDate();
+
+  // zusammengesetzter Name/Adresse-Block für das Rezept
+  const zipWithCountry = `D-${(patient_zip || '').trim()}`;
+  const patientBlock = `${(patient_last_name || '').trim()}, ${(patient_first_name || '').trim()}`.trim() +
+    '\n' +
+    (patient_address || '').trim() +
+    '\n' +
+    `${zipWithCountry} ${(patient_city || '').trim()}`.trim();
+
+  // The patient data is copied into the prescription exactly as it is
+  // printed; the profile only serves to prefill the form. The
+  // prescription, its items and the first status are stored in one
+  // transaction, so a prescription never exists without its medication.
+  runInTransaction(async tx => {
+    const { lastID: prescriptionId } = await tx.run(
+      `INSERT INTO prescriptions (user_id, insurance, patient_name, patient_first_name, patient_last_name, patient_address, patient_zip, patient_city, patient_birth, insurance_number, doctor_practice, doctor_number, date, limit_violations, limit_override_reason, limit_override_by, patient_key)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.session.user.id,
+        insurance,
+        encryptPatientField(patientBlock),
+        encryptPatientField(patient_first_name.trim()),
+        encryptPatientField(patient_last_name.trim()),
+        encryptPatientField(patient_address.trim()),
+        encryptPatientField(patient_zip.trim()),
+        encryptPatientField(patient_city.trim()),
+        encryptPatientField(formattedBirth),
+        encryptPatientField(insurance_number ? insurance_number.trim() : null),
+        doctor_practice ? doctor_practice.trim() : null,
+        doctor_number.trim(),
+        issueDate,
+        override ? override.violations.join('\n') : null,
+        override ? override.reason : null,
+        override ? req.session.user.id : null,
+        patientKey(PATIENT_FIELD_CIPHER, patient_first_name, patient_last_name, formattedBirth)
+      ]
+    );
+    for (const [index, item] of items.entries()) {
+      await tx.run(PRESCRIPTION_ITEM_INSERT, prescriptionItemValues(prescriptionId, item, index));
+    }
+    await tx.run(
+      'INSERT INTO prescription_status_history (prescription_id, old_status, new_status, changed_by) VALUES (?, NULL, ?, ?)',
+      [prescriptionId, 'submitted', req.session.user.id]
+    );
+    return prescriptionId;
+  }).then(
+    prescriptionId => {
+      recordAudit(req, 'create', 'prescription', prescriptionId, override ? 'Grenzwerte überschrieben' : null);
+      // Only patients keep their own data as profile; an admin's form
+      // holds the data of some patient.
+      if (req.body.save_profile && !req.session.user.is_admin) {
+        savePatientProfile(req.session.user.id, {
+          first_name: patient_first_name.trim(),
+          last_name: patient_last_name.trim(),
+          address: patient_address.trim(),
+          zip: patient_zip.trim(),
+          city: patient_city.trim(),
+          birthdate: parseBirthdate(patient_birth),
+          insurance_number: insurance_number ? insurance_number.trim() : null
+        }, errProfile => {
+          if (errProfile) return console.error('Fehler beim Speichern des Profils:', errProfile.message);
+          recordAudit(req, 'update', 'patient_profile', req.session.user.id);
+        });
+      }
+      // After saving the prescription, do not show it to the user.
+      // Stattdessen Weiterleitung auf eine Erfolgsseite, damit nur Admins drucken können.
+      res.redirect('/prescriptions/success');
+    },
+    err => {
+      console.error('Fehler beim Speichern des Rezepts:', err.message);
+      renderPrescriptionForm(res, [{ msg: 'Fehler beim Speichern des Rezepts.' }], req.body, itemRows);
+    }
+  );
+}
+// Print view for a prescription. Only admins may access this route.
+app.get('/prescriptions/:id/print', requireAdmin, auditRead('print', 'prescription'), (req, res) => {
+  const id = req.params.id;
+  db.get('SELECT * FROM prescriptions WHERE id = ?', [id], (err, row) => {
+    const prescription = decryptPrescription(row);
+    if (err || !prescription) {
+      return res.status(404).render('404');
+    }
+    // Only admin can print prescriptions. Prescriptions with more than
+    // three items are printed on several forms.
+    loadPrescriptionItems([prescription.id], itemsById => {
+      loadPrintLayout(req.query.layout, layout => {
+        const sheets = prescriptionSheets(prescription, itemsById[prescription.id]).map(sheet => layoutFieldsFor(sheet, layout));
+        res.render('prescription-print', { prescription, layout, sheets });
+      });
+    });
+  });
+});
+
+// Helper: send rendered prescriptions as PDF. `mode` is 'background' to
+// include the blank form as background, anything else prints text only.
+// `layoutId` selects the print layout profile (default profile if empty).
+// Each prescription gets as many pages as it needs for its items.
+function sendPrescriptionsPdf(res, prescriptions, mode, layoutId, filename) {
+  const pdfMode = mode === 'background' ? 'background' : 'text';
+  loadPrescriptionItems(prescriptions.map(p => p.id), itemsById => {
+    const sheets = [];
+    prescriptions.forEach(p => {
+      sheets.push(...prescriptionSheets(p, itemsById[p.id]));
+    });
+    loadPrintLayout(layoutId, layout => {
+      sendPdf(res, renderPrescriptionsPdf(sheets, pdfMode, layout), filename);
+    });
+  });
+}
+
+// Helper: send the PDF buffer produced by `pdfPromise` inline.
+function sendPdf(res, pdfPromise, filename) {
+  pdfPromise
+    .then(pdf => {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+      res.send(pdf);
+    })
+    .catch(err => {
+      console.error('Fehler beim Erzeugen des PDFs:', err.message);
+      res.status(500).send('Fehler beim Erzeugen des PDFs.');
+    });
+}
+
+// PDF of a single prescription (148 x 105 mm). Only admins may access this
+// route. ?mode=text (default) for pre-printed blanks, ?mode=background
+// for an archive copy including the blank form.
+app.get('/prescriptions/:id(\\d+)/pdf', requireAdmin, auditRead('pdf', 'prescription'), (req, res) => {
+  db.get('SELECT * FROM prescriptions WHERE id = ?', [req.params.id], (err, row) => {
+    const prescription = decryptPrescription(row);
+    if (err || !prescription) {
+      return res.status(404).render('404');
+    }
+    sendPrescriptionsPdf(res, [prescription], req.query.mode, req.query.layout, `rezept-${prescription.id}.pdf`);
+  });
+});
+
+// Patient view: list the current user's own prescriptions with their
+// issue date and processing status.  Only read-only data is shown; the
+// print view stays reserved for admins.
+app.get('/prescriptions', requireAuth, auditRead('list', 'prescription', () => null), (req, res) => {
+  db.all(
+    'SELECT id, date, medication1, medication2, medication3, status, status_updated_at, created_at FROM prescriptions WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+    [req.session.user.id],
+    (err, rows) => {
+      if (err) {
+        return res.render('prescriptions', { prescriptions: [], statuses: PRESCRIPTION_STATUSES, error: 'Fehler beim Abrufen Ihrer Rezepte.' });
+      }
+      loadPrescriptionItems(rows.map(row => row.id), itemsById => {
+        const prescriptions = rows.map(row => ({
+          ...row,
+          status: row.status || 'submitted',
+          medicationLines: medicationLines(row, itemsById[row.id]),
+          createdAtDisplay: formatTimestampGerman(row.created_at)
+        }));
+        res.render('prescriptions', { prescriptions, statuses: PRESCRIPTION_STATUSES, error: null });
+      });
+    }
+  );
+});
+
+// Patient view: read-only details and status history of one of the
+// current user's prescriptions.  Prescriptions of other users are
+// answered with 404 so that their existence is not revealed.
+app.get('/prescriptions/:id(\\d+)', requireAuth, auditRead('view', 'prescription'), (req, res) => {
+  db.get('SELECT * FROM prescriptions WHERE id = ? AND user_id = ?', [req.params.id, req.session.user.id], (err, row) => {
+    const prescription = decryptPrescription(row);
+    if (err || !prescription) {
+      return res.status(404).render('404');
+    }
+    db.all(
+      'SELECT new_status, note, created_at FROM prescription_status_history WHERE prescription_id = ? ORDER BY created_at ASC, id ASC',
+      [prescription.id],
+      (err2, history) => {
+        loadPrescriptionItems([prescription.id], itemsById => {
+          res.render('prescription-detail', {
+            prescription: { ...prescription, status: prescription.status || 'submitted' },
+            medicationLines: medicationLines(prescription, itemsById[prescription.id]),
+            history: (history || []).map(h => ({ ...h, createdAtDisplay: formatTimestampGerman(h.created_at) })),
+            statuses: PRESCRIPTION_STATUSES
+          });
+        });
+      }
+    );
+  });
+});
+
+// Success page shown to users after creating a prescription.  Users are not shown
+// the actual prescription document here.  They are informed that the
+// prescription has been created and that output is handled by the admin.
+app.get('/prescriptions/success', requireAuth, (req, res) => {
+  res.render('prescription-success');
+});
+
+/*
+ * Patient profile
+ *
+ * Users keep their master data (name, address, birthdate, insurance
+ * number) in a profile so that it does not have to be typed again for
+ * every prescription.
+ */
+
+function renderProfile(res, errors, profile, saved) {
+  res.render('profile', { errors, profile: profile || {}, saved });
+}
+
+app.get('/profile', requireAuth, auditRead('view', 'patient_profile', req => req.session.user.id), (req, res) => {
+  loadPatientProfile(req.session.user.id, profile => {
+    const values = profile ? { ...profile, birthdate: formatIsoDateGerman(profile.birthdate) } : null;
+    renderProfile(res, [], values, req.query.saved === '1');
+  });
+});
+
+app.post('/profile', requireAuth, (req, res) => {
+  const trimmed = field => (req.body[field] ? String(req.body[field]).trim() : '');
+  const values = {
+    first_name: trimmed('first_name'),
+    last_name: trimmed('last_name'),
+    address: trimmed('address'),
+    zip: trimmed('zip'),
+    city: trimmed('city'),
+    birthdate: trimmed('birthdate'),
+    insurance_number: trimmed('insurance_number')
+  };
+  const errors = [];
+  if (!values.first_name || !values.last_name || !values.address || !values.zip || !values.city) {
+    errors.push({ msg: 'Bitte füllen Sie Name, Adresse, Postleitzahl und Wohnort vollständig aus.' });
+  }
+  if (values.zip && !/^\d{5}$/.test(values.zip)) {
+    errors.push({ msg: 'Die Postleitzahl muss aus fünf Ziffern bestehen.' });
+  }
+  const birthdate = parseBirthdate(values.birthdate);
+  if (!birthdate) {
+    errors.push({ msg: 'Bitte geben Sie ein gültiges Geburtsdatum im Format TT.MM.JJJJ an.' });
+  }
+  if (errors.length > 0) {
+    return renderProfile(res, errors, values, false);
+  }
+  savePatientProfile(req.session.user.id, { ...values, birthdate, insurance_number: values.insurance_number || null }, err => {
+    if (err) {
+      console.error('Fehler beim Speichern des Profils:', err.message);
+      return renderProfile(res, [{ msg: 'Fehler beim Speichern des Profils.' }], values, false);
+    }
+    recordAudit(req, 'update', 'patient_profile', req.session.user.id);
+    res.redirect('/profile?saved=1');
+  });
+});
+
+/*
+ * Settings
+ *
+ * Users choose how they are notified of new messages in addition to the
+ * inbox: by e-mail (only to a verified address) and by SMS to their
+ * mobile number. They also order and cancel the newsletter here; an order
+ * only takes effect once it has been confirmed by e-mail.
+ */
+
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()/-]{5,24}$/;
+
+function renderSettings(res, errors, values, saved) {
+  res.render('settings', { errors, values, saved });
+}
+
+app.get('/settings', requireAuth, (req, res) => {
+  db.get(
+    'SELECT email, phone, email_verified, notify_email, notify_sms, newsletter_opt_in, newsletter_requested_at FROM users WHERE id = ?',
+    [req.session.user.id],
+    (err, user) => {
+      if (err || !user) {
+        return res.status(404).render('404');
+      }
+      renderSettings(res, [], { ...user, newsletter: user.newsletter_opt_in || user.newsletter_requested_at }, req.query.saved || null);
+    }
+  );
+});
+
+app.post('/settings', requireAuth, (req, res) => {
+  db.get('SELECT id, username, email, phone, email_verified, newsletter_opt_in, newsletter_requested_at FROM users WHERE id = ?', [req.session.user.id], (err, user) => {
+    if (err || !user) {
+      return res.status(404).render('404');
+    }
+    const values = {
+      ...user,
+      phone: (req.body.phone || '').trim(),
+      notify_email: req.body.notify_email ? 1 : 0,
+      notify_sms: req.body.notify_sms ? 1 : 0,
+      newsletter: req.body.newsletter ? 1 : 0
+    };
+    const errors = [];
+    if (values.phone && !PHONE_PATTERN.test(values.phone)) {
+      errors.push({ msg: 'Bitte geben Sie eine gültige Mobilnummer ein, z. B. +49 170 1234567.' });
+    }
+    if (values.notify_sms && !values.phone) {
+      errors.push({ msg: 'Für Benachrichtigungen per SMS wird eine Mobilnummer benötigt.' });
+    }
+    if (errors.length > 0) {
+      return renderSettings(res, errors, values, false);
+    }
+    // A new order is only requested here and confirmed by e-mail; a
+    // cancellation takes effect at once.
+    const subscribed = Boolean(user.newsletter_opt_in || user.newsletter_requested_at);
+    let newsletterChange = null;
+    let optIn = user.newsletter_opt_in ? 1 : 0;
+    let requestedAt = user.newsletter_requested_at;
+    if (values.newsletter && !subscribed) {
+      newsletterChange = 'requested';
+      requestedAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
+    } else if (!values.newsletter && subscribed) {
+      newsletterChange = 'withdrawn';
+      optIn = 0;
+      requestedAt = null;
+    }
+    db.run(
+      'UPDATE users SET phone = ?, notify_email = ?, notify_sms = ?, newsletter_opt_in = ?, newsletter_requested_at = ? WHERE id = ?',
+      [values.phone || null, values.notify_email, values.notify_sms, optIn, requestedAt, req.session.user.id],
+      err2 => {
+        if (err2) {
+          return renderSettings(res, [{ msg: 'Fehler beim Speichern der Einstellungen.' }], values, false);
+        }
+        const channels = [values.notify_email && 'E-Mail', values.notify_sms && 'SMS'].filter(Boolean);
+        recordAudit(req, 'update', 'user', req.session.user.id, `Benachrichtigungen: ${channels.length > 0 ? channels.join(', ') : 'nur Postfach'}`);
+        if (newsletterChange) {
+          recordNewsletterConsent(req, user.id, newsletterChange, 'settings');
+          req.session.user.newsletter_opt_in = Boolean(optIn);
+        }
+        if (newsletterChange === 'requested') {
+          sendNewsletterConfirmationMail({ ...user, newsletter_requested_at: requestedAt });
+          return res.redirect('/settings?saved=newsletter');
+        }
+        res.redirect('/settings?saved=1');
+      }
+    );
+  });
+});
+
+/*
+ * Meine Daten (GDPR)
+ *
+ * Users can download everything stored about them as JSON or as a ZIP
+ * archive with one file per section, and request the deletion of their
+ * account. Deletion requests are carried out by an admin with the
+ * 'delete' user action (see deleteUserAccount()).
+ */
+
+// Sections of the data export. Every `?` in the query is bound to the
+// user id. Secrets (password hash, TOTP secret, recovery codes) are left
+// out.
+const USER_DATA_SECTIONS = [
+  {
+    key: 'account',
+    label: 'Konto',
+    single: true,
+    sql: `SELECT id, username, email, phone, is_admin, approved, newsletter_opt_in, blocked, rejected,
+            email_verified, email_verified_at, totp_enabled, notify_email, notify_sms, newsletter_requested_at, created_at FROM users WHERE id = ?`
+  },
+  {
+    key: 'patient_profile',
+    label: 'Stammdaten',
+    single: true,
+    sql: `SELECT first_name, last_name, address, zip, city, birthdate, insurance_number, created_at, updated_at
+          FROM patient_profiles WHERE user_id = ?`,
+    map: decryptPatientProfile
+  },
+  {
+    key: 'prescriptions',
+    label: 'Rezepte',
+    sql: 'SELECT * FROM prescriptions WHERE user_id = ? ORDER BY id',
+    map: decryptPrescription
+  },
+  {
+    key: 'prescription_items',
+    label: 'Verordnungen der Rezepte',
+    sql: `SELECT i.* FROM prescription_items i JOIN prescriptions p ON p.id = i.prescription_id
+          WHERE p.user_id = ? ORDER BY i.prescription_id, i.position`
+  },
+  {
+    key: 'prescription_status_history',
+    label: 'Statusverlauf der Rezepte',
+    sql: `SELECT h.prescription_id, h.old_status, h.new_status, h.note, h.created_at FROM prescription_status_history h
+          JOIN prescriptions p ON p.id = h.prescription_id WHERE p.user_id = ? ORDER BY h.id`
+  },
+  {
+    key: 'private_prescriptions',
+    label: 'Privatrezept-Fragebögen',
+    sql: 'SELECT * FROM private_prescriptions WHERE user_id = ? ORDER BY id',
+    map: decryptPrivatePrescription
+  },
+  {
+    key: 'messages',
+    label: 'Nachrichten',
+    sql: 'SELECT * FROM messages WHERE recipient_id = ? OR sender_id = ? ORDER BY id'
+  },
+  {
+    key: 'deliveries',
+    label: 'Benachrichtigungen per E-Mail und SMS',
+    sql: 'SELECT message_id, channel, recipient, status, attempts, created_at, sent_at FROM outbox WHERE user_id = ? ORDER BY id'
+  },
+  {
+    key: 'newsletter_consents',
+    label: 'Newsletter-Einwilligungen',
+    sql: 'SELECT action, source, campaign_id, ip, created_at FROM newsletter_consents WHERE user_id = ? ORDER BY id'
+  },
+  {
+    key: 'admin_actions',
+    label: 'Verwaltungsvorgänge zum Konto',
+    sql: 'SELECT action, reason, created_at FROM user_admin_actions WHERE user_id = ? ORDER BY id'
+  },
+  {
+    key: 'deletion_requests',
+    label: 'Löschanträge',
+    sql: 'SELECT reason, status, requested_at, processed_at FROM deletion_requests WHERE user_id = ? ORDER BY id'
+  },
+  {
+    key: 'audit_log',
+    label: 'Zugriffsprotokoll',
+    sql: `SELECT created_at, actor_name, action, entity, entity_id, ip, details FROM audit_log
+          WHERE actor_id = ? OR (entity IN ('user', 'patient_profile') AND entity_id = CAST(? AS TEXT)) ORDER BY id`
+  }
+];
+
+// Helper: load all data stored about a user, keyed by section.
+function collectUserData(userId, callback) {
+  const data = { exported_at: new Date().toISOString() };
+  const next = index => {
+    if (index >= USER_DATA_SECTIONS.length) return callback(null, data);
+    const section = USER_DATA_SECTIONS[index];
+    const params = section.sql.match(/\?/g).map(() => userId);
+    db.all(section.sql, params, (err, rows) => {
+      if (err) return callback(err);
+      if (section.map) rows = rows.map(section.map);
+      data[section.key] = section.single ? rows[0] || null : rows;
+      next(index + 1);
+    });
+  };
+  next(0);
+}
+
+function renderMyData(req, res, errors, status) {
+  const userId = req.session.user.id;
+  collectUserData(userId, (err, data) => {
+    if (err) {
+      console.error('Fehler beim Laden der Benutzerdaten:', err.message);
+      return renderNotice(res, 500, 'Meine Daten', 'Ihre Daten konnten nicht geladen werden.');
+    }
+    db.get(
+      "SELECT * FROM deletion_requests WHERE user_id = ? AND status = 'pending' ORDER BY id DESC",
+      [userId],
+      (err2, pendingRequest) => {
+        res.status(status || (errors.length > 0 ? 400 : 200)).render('my-data', {
+          errors,
+          sections: USER_DATA_SECTIONS.map(section => {
+            const value = data[section.key];
+            return { label: section.label, count: Array.isArray(value) ? value.length : value ? 1 : 0 };
+          }),
+          pendingRequest: pendingRequest
+            ? { ...pendingRequest, requestedAtDisplay: formatTimestampGerman(pendingRequest.requested_at) }
+            : null,
+          canRequestDeletion: !req.session.user.is_admin,
+          requested: req.query.requested === '1',
+          cancelled: req.query.cancelled === '1'
+        });
+      }
+    );
+  });
+}
+
+// "Meine Daten": overview of the stored data, export and deletion request.
+app.get('/my-data', requireAuth, auditRead('view', 'user', req => req.session.user.id), (req, res) => {
+  renderMyData(req, res, []);
+});
+
+// Export as a single JSON file.
+app.get('/my-data/export.json', requireAuth, (req, res) => {
+  collectUserData(req.session.user.id, (err, data) => {
+    if (err) {
+      return res.status(500).send('Fehler beim Exportieren der Daten.');
+    }
+    recordAudit(req, 'export', 'user', req.session.user.id, 'JSON');
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="meine-daten.json"');
+    res.send(JSON.stringify(data, null, 2));
+  });
+});
+
+// Export as a ZIP archive with one JSON file per section.
+app.get('/my-data/export.zip', requireAuth, (req, res) => {
+  collectUserData(req.session.user.id, (err, data) => {
+    if (err) {
+      return res.status(500).send('Fehler beim Exportieren der Daten.');
+    }
+    const readme = [
+      'Export Ihrer bei Medizinisches Cannabis gespeicherten Daten',
+      `Erstellt am ${formatTimestampGerman(data.exported_at.slice(0, 19).replace('T', ' '))}`,
+      '',
+      ...USER_DATA_SECTIONS.map(section => `${section.key}.json: ${section.label}`)
+    ].join('\r\n');
+    const files = [{ name: 'LIESMICH.txt', data: readme }].concat(
+      USER_DATA_SECTIONS.map(section => ({ name: `${section.key}.json`, data: JSON.stringify(data[section.key], null, 2) }))
+    );
+    recordAudit(req, 'export', 'user', req.session.user.id, 'ZIP');
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="meine-daten.zip"');
+    res.send(createZip(files));
+  });
+});
+
+// Request the deletion of the own account. The password is asked again;
+// admin accounts are deleted by another admin directly.
+app.post('/my-data/deletion-request', requireAuth, (req, res) => {
+  const user = req.session.user;
+  if (user.is_admin) {
+    return renderMyData(req, res, [{ msg: 'Admin-Konten können nur von einem anderen Admin gelöscht werden.' }]);
+  }
+  const reason = (req.body.reason || '').trim();
+  db.get('SELECT password_hash FROM users WHERE id = ?', [user.id], async (err, row) => {
+    if (err || !row) {
+      return renderMyData(req, res, [{ msg: 'Fehler beim Laden des Kontos.' }], 500);
+    }
+    if (!(await bcrypt.compare(req.body.password || '', row.password_hash))) {
+      return renderMyData(req, res, [{ msg: 'Das Passwort ist falsch.' }]);
+    }
+    db.run(
+      `INSERT INTO deletion_requests (user_id, reason) SELECT ?, ?
+       WHERE NOT EXISTS (SELECT 1 FROM deletion_requests WHERE user_id = ? AND status = 'pending')`,
+      [user.id, reason || null, user.id],
+      function (err2) {
+        if (err2) {
+          return renderMyData(req, res, [{ msg: 'Fehler beim Speichern des Löschantrags.' }], 500);
+        }
+        if (this.changes > 0) recordAudit(req, 'deletion_request', 'user', user.id);
+        res.redirect('/my-data?requested=1');
+      }
+    );
+  });
+});
+
+// Withdraw a pending deletion request.
+app.post('/my-data/deletion-request/cancel', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  db.run(
+    "UPDATE deletion_requests SET status = 'cancelled', processed_at = CURRENT_TIMESTAMP WHERE user_id = ? AND status = 'pending'",
+    [userId],
+    function (err) {
+      if (err) {
+        return renderMyData(req, res, [{ msg: 'Fehler beim Zurückziehen des Löschantrags.' }], 500);
+      }
+      if (this.changes > 0) recordAudit(req, 'deletion_request_cancel', 'user', userId);
+      res.redirect('/my-data?cancelled=1');
+    }
+  );
+});
+
+// Admin route: list all prescriptions for printing.  Displays all records
+// in descending order of creation, optionally filtered by status via
+// ?status=.  Admins can then open each prescription to print it or to
+// change its status.
+app.get('/admin/prescriptions', requireAdmin, auditRead('list', 'prescription'), (req, res) => {
+  const status = PRESCRIPTION_STATUSES[req.query.status] ? req.query.status : '';
+  const q = (req.query.q || '').trim();
+  const renderList = (prescriptions, counts, error) => {
+    listPrintLayouts(layouts => {
+      res.render('admin-prescriptions', {
+        prescriptions,
+        error,
+        layouts,
+        statuses: PRESCRIPTION_STATUSES,
+        statusFilter: status,
+        statusCounts: counts,
+        q
+      });
+    });
+  };
+  db.all("SELECT COALESCE(status, 'submitted') AS status, COUNT(*) AS count FROM prescriptions GROUP BY 1", [], (err, countRows) => {
+    const counts = {};
+    (countRows || []).forEach(r => {
+      counts[r.status] = r.count;
+    });
+    const where = status ? "WHERE COALESCE(status, 'submitted') = ?" : '';
+    db.all(`SELECT * FROM prescriptions ${where} ORDER BY created_at DESC`, status ? [status] : [], (err2, rows) => {
+      if (err || err2) {
+        return renderList([], counts, 'Fehler beim Abrufen der Rezepte.');
+      }
+      // The patient fields are encrypted, so the search (?q=) runs on the
+      // decrypted rows instead of in SQL.
+      const needle = q.toLowerCase();
+      const prescriptions = rows.map(decryptPrescription).filter(p => !needle ||
+        ['patient_name', 'patient_birth', 'insurance_number'].some(field => String(p[field] || '').toLowerCase().includes(needle)));
+      renderList(prescriptions, counts, null);
+    });
+  });
+});
+
+// Admin route: merge the selected prescriptions (?ids=1&ids=2...) into a
+// single PDF with one page per prescription.
+app.get('/admin/prescriptions/pdf', requireAdmin, auditRead('pdf', 'prescription', req => [].concat(req.query.ids || []).join(',')), (req, res) => {
+  const ids = [].concat(req.query.ids || [])
+    .map(id => parseInt(id, 10))
+    .filter(id => Number.isInteger(id) && id > 0);
+  if (ids.length === 0) {
+    return res.redirect('/admin/prescriptions');
+  }
+  const placeholders = ids.map(() => '?').join(', ');
+  db.all(`SELECT * FROM prescriptions WHERE id IN (${placeholders}) ORDER BY id ASC`, ids, (err, rows) => {
+    if (err || !rows || rows.length === 0) {
+      return res.status(404).render('404');
+    }
+    sendPrescriptionsPdf(res, rows.map(decryptPrescription), req.query.mode, req.query.layout, `rezepte-${ids.length}.pdf`);
+  });
+});
+
+// Admin route: details of a single prescription including its status
+// history and the status changes that are currently possible.
+function renderAdminPrescriptionDetail(req, res, error) {
+  const sql = `SELECT p.*, COALESCE(o.username, o.email) AS limit_override_username FROM prescriptions p
+    LEFT JOIN users o ON o.id = p.limit_override_by WHERE p.id = ?`;
+  db.get(sql, [req.params.id], (err, row) => {
+    const prescription = decryptPrescription(row);
+    if (err || !prescription) {
+      return res.status(404).render('404');
+    }
+    db.all(
+      `SELECT h.*, u.username, u.email FROM prescription_status_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.prescription_id = ? ORDER BY h.created_at ASC, h.id ASC`,
+      [prescription.id],
+      (err2, history) => {
+        const status = prescription.status || 'submitted';
+        loadPrescriptionItems([prescription.id], itemsById => listPrintLayouts(layouts => {
+          res.status(error ? 400 : 200).render('admin-prescription-detail', {
+            prescription,
+            items: itemsById[prescription.id],
+            medicationLines: medicationLines(prescription, itemsById[prescription.id]),
+            sheetCount: prescriptionSheets(prescription, itemsById[prescription.id]).length,
+            status,
+            layouts,
+            history: (history || []).map(h => ({ ...h, createdAtDisplay: formatTimestampGerman(h.created_at) })),
+            statuses: PRESCRIPTION_STATUSES,
+            transitions: PRESCRIPTION_TRANSITIONS[status] || [],
+            error: error || (err2 ? 'Fehler beim Laden der Statushistorie.' : null)
+          });
+        }));
+      }
+    );
+  });
+}
+
+app.get('/admin/prescriptions/:id(\\d+)', requireAdmin, auditRead('view', 'prescription'), (req, res) => {
+  renderAdminPrescriptionDetail(req, res, null);
+});
+
+// Admin route: change the status of a prescription.
+app.post('/admin/prescriptions/:id(\\d+)/status', requireAdmin, (req, res) => {
+  const status = req.body.status;
+  const note = req.body.note ? req.body.note.trim() : '';
+  changePrescriptionStatus(req.params.id, status, req.session.user.id, note, err => {
+    if (err) {
+      return renderAdminPrescriptionDetail(req, res, err.message);
+    }
+    recordAudit(req, 'status', 'prescription', req.params.id, status);
+    res.redirect(`/admin/prescriptions/${req.params.id}`);
+  });
+});
+
+/*
+ * Print layout calibration
+ *
+ * Every printer feeds the A6 blanks slightly differently. Admins keep one
+ * named layout profile per printer, adjust the field positions and a
+ * global offset, and check the result with a printed test grid.
+ */
+
+// Helper: list all layout profiles for selection boxes.
+function listPrintLayouts(callback) {
+  db.all('SELECT id, name, is_default FROM print_layouts ORDER BY name COLLATE NOCASE', [], (err, rows) => {
+    callback(err ? [] : rows);
+  });
+}
+
+app.get('/admin/print-layouts', requireAdmin, (req, res) => {
+  listPrintLayouts(layouts => {
+    res.render('admin-print-layouts', { layouts, error: null });
+  });
+});
+
+// Create a new profile, optionally as copy of an existing one.
+app.post('/admin/print-layouts', requireAdmin, (req, res) => {
+  const name = req.body.name ? req.body.name.trim() : '';
+  const renderError = error => listPrintLayouts(layouts => {
+    res.status(400).render('admin-print-layouts', { layouts, error });
+  });
+  if (!name) {
+    return renderError('Bitte geben Sie einen Namen für das Profil an.');
   }
-  if (errors.length > 0) {
-    return res.render('admin-product-form', { product: null, errors });
+  loadPrintLayout(req.body.copy_from || null, source => {
+    const fields = {};
+    source.fields.forEach(f => {
+      fields[f.key] = { top: f.top, left: f.left, width: f.width, fontSize: f.fontSize };
+    });
+    db.get('SELECT COUNT(*) AS count FROM print_layouts', [], (err, row) => {
+      const isDefault = !err && row && row.count === 0 ? 1 : 0;
+      db.run(
+        'INSERT INTO print_layouts (name, offset_x, offset_y, fields, is_default) VALUES (?, ?, ?, ?, ?)',
+        [name, source.offsetX, source.offsetY, JSON.stringify(fields), isDefault],
+        function (err2) {
+          if (err2) {
+            return renderError(/UNIQUE/.test(err2.message)
+              ? 'Ein Profil mit diesem Namen existiert bereits.'
+              : 'Fehler beim Anlegen des Profils.');
+          }
+          res.redirect(`/admin/print-layouts/${this.lastID}`);
+        }
+      );
+    });
+  });
+});
+
+app.get('/admin/print-layouts/:id(\\d+)', requireAdmin, (req, res) => {
+  db.get('SELECT * FROM print_layouts WHERE id = ?', [req.params.id], (err, row) => {
+    if (err || !row) {
+      return res.status(404).render('404');
+    }
+    res.render('admin-print-layout-form', { layout: normalizeLayout(row), values: null, errors: [], saved: req.query.saved === '1' });
+  });
+});
+
+app.post('/admin/print-layouts/:id(\\d+)', requireAdmin, (req, res) => {
+  db.get('SELECT * FROM print_layouts WHERE id = ?', [req.params.id], (err, row) => {
+    if (err || !row) {
+      return res.status(404).render('404');
+    }
+    const parsed = parseLayoutForm(req.body);
+    if (parsed.errors.length > 0) {
+      return res.status(400).render('admin-print-layout-form', {
+        layout: normalizeLayout(row),
+        values: req.body,
+        errors: parsed.errors,
+        saved: false
+      });
+    }
+    db.run(
+      'UPDATE print_layouts SET offset_x = ?, offset_y = ?, fields = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [parsed.offsetX, parsed.offsetY, parsed.fieldsJson, row.id],
+      err2 => {
+        if (err2) {
+          return res.status(500).render('admin-print-layout-form', {
+            layout: normalizeLayout(row),
+            values: req.body,
+            errors: ['Fehler beim Speichern des Profils.'],
+            saved: false
+          });
+        }
+        res.redirect(`/admin/print-layouts/${row.id}?saved=1`);
+      }
+    );
+  });
+});
+
+// Mark a profile as the default used for printing. An unknown id leaves
+// the current default alone; the flags of all profiles are switched in
+// one statement.
+app.post('/admin/print-layouts/:id(\\d+)/default', requireAdmin, (req, res) => {
+  db.get('SELECT id FROM print_layouts WHERE id = ?', [req.params.id], (err, row) => {
+    if (err || !row) {
+      return res.status(404).render('404');
+    }
+    db.run('UPDATE print_layouts SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', [row.id], err2 => {
+      if (err2) {
+        return res.status(500).send('Fehler beim Festlegen des Standardprofils.');
+      }
+      res.redirect('/admin/print-layouts');
+    });
+  });
+});
+
+// Delete a profile. The default can only be deleted when it is the last
+// profile (printing then falls back to the built-in layout); otherwise
+// another profile has to be made the default first.
+app.post('/admin/print-layouts/:id(\\d+)/delete', requireAdmin, (req, res) => {
+  const renderError = (status, error) => listPrintLayouts(layouts => {
+    res.status(status).render('admin-print-layouts', { layouts, error });
+  });
+  db.get('SELECT id FROM print_layouts WHERE id = ?', [req.params.id], (err, row) => {
+    if (err) {
+      return renderError(500, 'Fehler beim Löschen des Profils.');
+    }
+    if (!row) {
+      return res.status(404).render('404');
+    }
+    db.run(
+      'DELETE FROM print_layouts WHERE id = ? AND (is_default = 0 OR (SELECT COUNT(*) FROM print_layouts) = 1)',
+      [row.id],
+      function (err2) {
+        if (err2) {
+          return renderError(500, 'Fehler beim Löschen des Profils.');
+        }
+        if (this.changes === 0) {
+          return renderError(400, 'Das Standardprofil kann nicht gelöscht werden. Legen Sie zuerst ein anderes Profil als Standard fest.');
+        }
+        res.redirect('/admin/print-layouts');
+      }
+    );
+  });
+});
+
+// Test grid for a profile as PDF. ?background=1 places the blank form
+// underneath to check the positions on screen.
+app.get('/admin/print-layouts/:id(\\d+)/test', requireAdmin, (req, res) => {
+  db.get('SELECT * FROM print_layouts WHERE id = ?', [req.params.id], (err, row) => {
+    if (err || !row) {
+      return res.status(404).render('404');
+    }
+    const layout = normalizeLayout(row);
+    sendPdf(res, renderCalibrationPdf(layout, req.query.background === '1'), `testraster-${row.id}.pdf`);
+  });
+});
+
+/*
+ * Privatrezept questionnaire routes
+ *
+ * The questionnaire is the extended alternative to /prescriptions/new. In
+ * addition to the patient data it asks for the indication and whether
+ * cannabis has been prescribed before. Entries are stored in the
+ * private_prescriptions table and can be previewed and printed by admins
+ * under /admin/privatrezept.
+ */
+const PRIVATREZEPT_INDICATIONS = ['Schmerzen', 'Schlaflosigkeit', 'Stress', 'Appetitlosigkeit', 'Sonstiges'];
+
+app.get('/privatrezept', requireAuth, (req, res) => {
+  res.render('privatrezept_form', {
+    errors: [],
+    formData: null,
+    prescriptionDateDisplay: calculateIssueDate()
+  });
+});
+
+app.post('/privatrezept', requireAuth, (req, res) => {
+  const formData = req.body;
+  const trimmed = field => (formData[field] ? String(formData[field]).trim() : '');
+  const errors = [];
+
+  const required = ['first_name', 'last_name', 'street', 'house_number', 'zip_code', 'city'];
+  if (required.some(field => !trimmed(field))) {
+    errors.push('Bitte füllen Sie Name, Adresse, Postleitzahl und Wohnort vollständig aus.');
   }
-  // Determine file name: use uploaded file if present, otherwise fallback to placeholder
-  let imageFile = 'placeholder.png';
-  if (req.file && req.file.filename) {
-    imageFile = req.file.filename;
+  if (trimmed('zip_code') && !/^\d{5}$/.test(trimmed('zip_code'))) {
+    errors.push('Die Postleitzahl muss aus fünf Ziffern bestehen.');
   }
-  // Provide default values for optional metadata
-  const meta = {
-    thc: thc ? thc.trim() : '',
-    cbd: cbd ? cbd.trim() : '',
-    effects: effects ? effects.trim() : '',
-    aroma: aroma ? aroma.trim() : '',
-    terpenes: terpenes ? terpenes.trim() : ''
-  };
+  const birthdate = parseBirthdate(formData.birthdate);
+  if (!birthdate) {
+    errors.push('Bitte geben Sie ein gültiges Geburtsdatum im Format TT.MM.JJJJ an.');
+  }
+  const indication = trimmed('indication');
+  if (!PRIVATREZEPT_INDICATIONS.includes(indication)) {
+    errors.push('Bitte wählen Sie einen Grund für das Privatrezept aus.');
+  } else if (indication === 'Sonstiges' && !trimmed('indication_other')) {
+    errors.push('Bitte beschreiben Sie den Grund bei „Sonstiges / ähnlich“ kurz.');
+  }
+  const grams = parseGermanNumber(trimmed('medication_grams'));
+  if (!trimmed('medication_strain') || !Number.isFinite(grams) || grams <= 0) {
+    errors.push('Bitte geben Sie Menge in Gramm und Cannabissorte an.');
+  }
+  if (!formData.cost_confirm) {
+    errors.push('Bitte bestätigen Sie die Kosten von 10,00 € für die Erstellung des Privatrezepts.');
+  }
+
+  const prescriptionDate = calculateIssueDate();
+  if (errors.length > 0) {
+    return res.render('privatrezept_form', { errors, formData, prescriptionDateDisplay: prescriptionDate });
+  }
+  const medicationText = buildMedicationLine({
+    grams,
+    strain: trimmed('medication_strain'),
+    single_dose: DEFAULT_SINGLE_DOSE,
+    daily_dose: DEFAULT_DAILY_DOSE
+  });
+
   db.run(
-    'INSERT INTO products (title, description, price, image, thc, cbd, effects, aroma, terpenes) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    `INSERT INTO private_prescriptions (user_id, first_name, last_name, street, house_number, zip_code, city, birthdate, kostentraeger, indication, indication_other, previous_cannabis, medication_grams, medication_strain, medication_text, prescription_date)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'Privat', ?, ?, ?, ?, ?, ?, ?)`,
     [
-      title.trim(),
-      description.trim(),
-      numericPrice,
-      imageFile,
-      meta.thc,
-      meta.cbd,
-      meta.effects,
-      meta.aroma,
-      meta.terpenes
+      req.session.user.id,
+      encryptPatientField(trimmed('first_name')),
+      encryptPatientField(trimmed('last_name')),
+      encryptPatientField(trimmed('street')),
+      encryptPatientField(trimmed('house_number')),
+      encryptPatientField(trimmed('zip_code')),
+      encryptPatientField(trimmed('city')),
+      encryptPatientField(birthdate),
+      encryptPatientField(indication),
+      encryptPatientField(indication === 'Sonstiges' ? trimmed('indication_other') : null),
+      formData.previous_cannabis === 'ja' ? 1 : 0,
+      encryptPatientField(String(grams)),
+      encryptPatientField(trimmed('medication_strain')),
+      encryptPatientField(medicationText),
+      prescriptionDate
     ],
-    err => {
+    function (err) {
       if (err) {
-        return res.render('admin-product-form', {
-          product: null,
-          errors: [{ msg: 'Fehler beim Erstellen der Sorte.' }]
+        console.error('Fehler beim Speichern des Privatrezepts:', err.message);
+        return res.render('privatrezept_form', {
+          errors: ['Fehler beim Speichern des Privatrezepts.'],
+          formData,
+          prescriptionDateDisplay: prescriptionDate
         });
       }
-      res.redirect('/admin/products');
+      recordAudit(req, 'create', 'private_prescription', this.lastID);
+      db.get('SELECT * FROM private_prescriptions WHERE id = ?', [this.lastID], (err2, row) => {
+        const prescription = decryptPrivatePrescription(row);
+        if (err2 || !prescription) {
+          return res.redirect('/showroom');
+        }
+        res.render('privatrezept_success', {
+          prescription: { ...prescription, created_at: formatTimestampGerman(prescription.created_at) },
+          birthdateDisplay: formatIsoDateGerman(prescription.birthdate),
+          prescriptionDateDisplay: prescription.prescription_date
+        });
+      });
     }
   );
 });
 
-// Product detail page
-app.get('/admin/products/:id', requireAdmin, (req, res) => {
-  const id = req.params.id;
-  db.get('SELECT * FROM products WHERE id = ?', [id], (err, product) => {
-    if (err || !product) {
-      return res.redirect('/admin/products');
+// Admin: list all questionnaire entries, newest first.
+app.get('/admin/privatrezept', requireAdmin, auditRead('list', 'private_prescription'), (req, res) => {
+  db.all('SELECT * FROM private_prescriptions ORDER BY created_at DESC, id DESC', [], (err, rows) => {
+    if (err) {
+      return res.render('admin_privatrezept_list', { entries: [], error: 'Fehler beim Abrufen der Privatrezepte.' });
     }
-    res.render('admin-product-detail', { product });
+    const entries = rows.map(decryptPrivatePrescription).map(row => ({
+      ...row,
+      prescriptionDateDisplay: row.prescription_date,
+      createdAtDisplay: formatTimestampGerman(row.created_at),
+      medication_short: `${String(row.medication_grams || '').replace('.', ',')} g ${row.medication_strain || ''}`
+    }));
+    res.render('admin_privatrezept_list', { entries, error: null });
   });
 });
 
-// Edit product form
-app.get('/admin/products/:id/edit', requireAdmin, (req, res) => {
-  const id = req.params.id;
-  db.get('SELECT * FROM products WHERE id = ?', [id], (err, product) => {
-    if (err || !product) {
-      return res.redirect('/admin/products');
+// Admin: preview and print a single questionnaire entry.
+app.get('/admin/privatrezept/:id', requireAdmin, auditRead('view', 'private_prescription'), (req, res) => {
+  db.get('SELECT * FROM private_prescriptions WHERE id = ?', [req.params.id], (err, row) => {
+    const prescription = decryptPrivatePrescription(row);
+    if (err || !prescription) {
+      return res.status(404).render('404');
     }
-    res.render('admin-product-form', { product, errors: [] });
+    res.render('admin_privatrezept_preview', {
+      prescription,
+      birthdateDisplay: formatIsoDateGerman(prescription.birthdate),
+      prescriptionDateDisplay: prescription.prescription_date
+    });
   });
 });
 
-// Update product
-app.post('/admin/products/:id/edit', requireAdmin, upload.single('imageFile'), (req, res) => {
-  const id = req.params.id;
-  const {
-    title,
-    description,
-    price,
-    thc,
-    cbd,
-    effects,
-    aroma,
-    terpenes
-  } = req.body;
+/*
+ * Messaging and newsletter routes
+ */
+
+const MESSAGE_MAX_LENGTH = 5000;
+
+// Helper: list the threads matching `where` (conditions on the messages
+// m of a thread, joined with the first message f and the patient u) with
+// the number of messages and of unread messages. `unread` is the SQL
+// condition for a message that counts as unread for the viewer.
+function listThreads(where, unread, params, callback) {
+  db.all(
+    `SELECT m.thread_id, f.subject, COALESCE(f.recipient_id, f.sender_id) AS patient_id,
+       COALESCE(u.username, u.email) AS patient_name, MAX(m.created_at) AS last_at,
+       COUNT(*) AS message_count, SUM(CASE WHEN ${unread} THEN 1 ELSE 0 END) AS unread
+     FROM messages m
+     JOIN messages f ON f.id = m.thread_id
+     LEFT JOIN users u ON u.id = COALESCE(f.recipient_id, f.sender_id)
+     WHERE ${where}
+     GROUP BY m.thread_id
+     ORDER BY unread > 0 DESC, last_at DESC, m.thread_id DESC`,
+    params,
+    (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(t => ({ ...t, lastAtDisplay: formatTimestampGerman(t.last_at) })));
+    }
+  );
+}
+
+// Helper: load a thread with its messages and the names of the senders.
+// The patient of a thread is the recipient of its first message, or its
+// sender if the patient started the thread. The callback receives null
+// for unknown threads.
+function loadThread(threadId, callback) {
+  db.all(
+    `SELECT m.*, COALESCE(s.username, s.email) AS sender_name, s.is_admin AS sender_is_admin FROM messages m
+     LEFT JOIN users s ON s.id = m.sender_id
+     WHERE m.thread_id = ? ORDER BY m.created_at ASC, m.id ASC`,
+    [threadId],
+    (err, messages) => {
+      if (err) return callback(err);
+      if (messages.length === 0) return callback(null, null);
+      const first = messages[0];
+      callback(null, {
+        id: first.thread_id,
+        subject: first.subject,
+        patientId: first.recipient_id || first.sender_id,
+        messages: messages.map(m => ({
+          ...m,
+          createdAtDisplay: formatTimestampGerman(m.created_at),
+          bodyHtml: m.body_format === 'markdown' ? renderMarkdown(m.body) : null
+        }))
+      });
+    }
+  );
+}
+
+function replySubject(subject) {
+  return /^Re:/i.test(subject || '') ? subject : `Re: ${subject || ''}`;
+}
+
+// Helper: check the text of a new message. Returns a list of errors.
+function messageErrors(subject, body, withSubject) {
   const errors = [];
-  if (!title || !description || !price) {
-    errors.push({ msg: 'Alle Felder außer Bild sind erforderlich.' });
+  if (withSubject && !subject) errors.push({ msg: 'Bitte geben Sie einen Betreff ein.' });
+  if (!body) errors.push({ msg: 'Bitte geben Sie einen Text ein.' });
+  if ((subject || '').length > 200) errors.push({ msg: 'Der Betreff darf höchstens 200 Zeichen lang sein.' });
+  if ((body || '').length > MESSAGE_MAX_LENGTH) errors.push({ msg: `Der Text darf höchstens ${MESSAGE_MAX_LENGTH} Zeichen lang sein.` });
+  return errors;
+}
+
+// Show the inbox of the current user: all conversations with the practice,
+// most recent and unread first. Admins use the practice inbox instead.
+app.get('/inbox', requireAuth, (req, res) => {
+  if (req.session.user.is_admin) {
+    return res.redirect('/admin/messages');
   }
-  const numericPrice = parseFloat(price);
-  if (isNaN(numericPrice) || numericPrice < 0) {
-    errors.push({ msg: 'Preis muss eine positive Zahl sein.' });
+  const userId = req.session.user.id;
+  listThreads('m.recipient_id = ? OR m.sender_id = ?', 'm.recipient_id = ? AND m.read_at IS NULL', [userId, userId, userId], (err, threads) => {
+    if (err) {
+      return res.render('inbox', { threads: [], error: 'Fehler beim Laden der Nachrichten.' });
+    }
+    res.render('inbox', { threads, error: null });
+  });
+});
+
+// Form to write a new message to the practice.
+app.get('/inbox/new', requireAuth, (req, res) => {
+  if (req.session.user.is_admin) {
+    return res.redirect('/admin/messages');
   }
-  if (errors.length > 0) {
-    // When validation errors occur we still render the form with the submitted
-    // fields populated. Because no new file has been processed yet, reuse
-    // the current image if available, otherwise leave it blank.  `req.body` does
-    // not include the image field for multipart forms so we fetch it from the
-    // database later when editing without a new file.  Here we set it to
-    // undefined as a placeholder; the template will handle missing images.
-    return res.render('admin-product-form', {
-      product: {
-        id,
-        title,
-        description,
-        price,
-        image: '',
-        thc,
-        cbd,
-        effects,
-        aroma,
-        terpenes
-      },
-      errors
-    });
+  res.render('message-new', { errors: [], values: {} });
+});
+
+app.post('/inbox/new', requireAuth, (req, res) => {
+  if (req.session.user.is_admin) {
+    return res.redirect('/admin/messages');
   }
-  // Prepare metadata with defaults
-  const meta = {
-    thc: thc ? thc.trim() : '',
-    cbd: cbd ? cbd.trim() : '',
-    effects: effects ? effects.trim() : '',
-    aroma: aroma ? aroma.trim() : '',
-    terpenes: terpenes ? terpenes.trim() : ''
-  };
-  // Determine file name: if a new file is uploaded, use it; otherwise fall back to existing image name passed in hidden input
-  let newImage = null;
-  if (req.file && req.file.filename) {
-    newImage = req.file.filename;
+  const subject = (req.body.subject || '').trim();
+  const body = (req.body.body || '').trim();
+  const errors = messageErrors(subject, body, true);
+  if (errors.length > 0) {
+    return res.status(400).render('message-new', { errors, values: { subject, body } });
   }
-  // Retrieve current image from DB if we need to keep it
-  db.get('SELECT image FROM products WHERE id = ?', [id], (imgErr, row) => {
-    if (imgErr || !row) {
-      return res.render('admin-product-form', {
-        product: { id, title, description, price, image: row ? row.image : '', thc, cbd, effects, aroma, terpenes },
-        errors: [{ msg: 'Fehler beim Laden der bestehenden Sorte.' }]
+  insertMessage(null, req.session.user.id, subject, body, null, (err, messageId) => {
+    if (err) {
+      return res.status(500).render('message-new', { errors: [{ msg: 'Fehler beim Senden der Nachricht.' }], values: { subject, body } });
+    }
+    res.redirect(`/inbox/${messageId}`);
+  });
+});
+
+function renderUserThread(req, res, thread, errors, reply) {
+  res.status(errors.length > 0 ? 400 : 200).render('message-thread', {
+    thread,
+    errors,
+    reply: reply || '',
+    replyAction: `/inbox/${thread.id}/reply`,
+    backUrl: '/inbox',
+    viewerId: req.session.user.id,
+    adminView: false,
+    canReply: true
+  });
+}
+
+// Conversation detail page. Opening it marks the messages to the user as
+// read.
+app.get('/inbox/:threadId(\\d+)', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  loadThread(req.params.threadId, (err, thread) => {
+    if (err || !thread || thread.patientId !== userId) {
+      return res.status(404).render('404');
+    }
+    db.run(
+      'UPDATE messages SET read_at = CURRENT_TIMESTAMP WHERE thread_id = ? AND recipient_id = ? AND read_at IS NULL',
+      [thread.id, userId],
+      function () {
+        if (this && this.changes > 0) pushUnreadCounts(info => info.userId === userId);
+        renderUserThread(req, res, thread, []);
+      }
+    );
+  });
+});
+
+// Reply to the practice within a conversation.
+app.post('/inbox/:threadId(\\d+)/reply', requireAuth, (req, res) => {
+  const userId = req.session.user.id;
+  const body = (req.body.body || '').trim();
+  loadThread(req.params.threadId, (err, thread) => {
+    if (err || !thread || thread.patientId !== userId) {
+      return res.status(404).render('404');
+    }
+    const errors = messageErrors(null, body, false);
+    if (errors.length > 0) {
+      return renderUserThread(req, res, thread, errors, body);
+    }
+    insertMessage(null, userId, replySubject(thread.subject), body, thread.id, err2 => {
+      if (err2) {
+        return renderUserThread(req, res, thread, [{ msg: 'Fehler beim Senden der Nachricht.' }], body);
+      }
+      res.redirect(`/inbox/${thread.id}`);
+    });
+  });
+});
+
+// Mark a message as read.  Only the recipient may mark a message as read.
+app.post('/messages/:id/read', requireAuth, (req, res) => {
+  const messageId = req.params.id;
+  const userId = req.session.user.id;
+  db.run('UPDATE messages SET read_at = CURRENT_TIMESTAMP WHERE id = ? AND recipient_id = ?', [messageId, userId], function () {
+    if (this && this.changes > 0) pushUnreadCounts(info => info.userId === userId);
+    res.redirect('/inbox');
+  });
+});
+
+// Admin inbox: all conversations with patient messages to the practice
+// (?filter=unread shows only those with unread messages), followed by the
+// admin's personal messages.
+app.get('/admin/messages', requireAdmin, auditRead('list', 'message_thread', () => null), (req, res) => {
+  const unreadOnly = req.query.filter === 'unread';
+  listThreads(
+    'm.thread_id IN (SELECT thread_id FROM messages WHERE recipient_id IS NULL)',
+    'm.recipient_id IS NULL AND m.read_at IS NULL',
+    [],
+    (err, threads) => {
+      listThreads('m.recipient_id = ?', 'm.recipient_id = ? AND m.read_at IS NULL', [req.session.user.id, req.session.user.id], (err2, personal) => {
+        const practiceThreads = threads || [];
+        res.render('admin-messages', {
+          error: err || err2 ? 'Fehler beim Laden der Nachrichten.' : null,
+          threads: unreadOnly ? practiceThreads.filter(t => t.unread > 0) : practiceThreads,
+          unreadTotal: practiceThreads.reduce((sum, t) => sum + t.unread, 0),
+          personal: personal || [],
+          unreadOnly
+        });
       });
     }
-    const imageFile = newImage || row.image;
+  );
+});
+
+function renderAdminThread(req, res, thread, errors, reply) {
+  res.status(errors.length > 0 ? 400 : 200).render('message-thread', {
+    thread,
+    errors,
+    reply: reply || '',
+    replyAction: `/admin/messages/${thread.id}/reply`,
+    backUrl: '/admin/messages',
+    viewerId: req.session.user.id,
+    adminView: true,
+    canReply: thread.patientId !== req.session.user.id
+  });
+}
+
+// Admin: conversation detail page. Opening it marks the patient's messages
+// to the practice as read.
+app.get('/admin/messages/:threadId(\\d+)', requireAdmin, auditRead('view', 'message_thread', req => req.params.threadId), (req, res) => {
+  loadThread(req.params.threadId, (err, thread) => {
+    if (err || !thread) {
+      return res.status(404).render('404');
+    }
+    const readCondition = thread.patientId === req.session.user.id ? 'recipient_id = ?' : 'recipient_id IS NULL';
     db.run(
-      'UPDATE products SET title = ?, description = ?, price = ?, image = ?, thc = ?, cbd = ?, effects = ?, aroma = ?, terpenes = ? WHERE id = ?',
-      [
-        title.trim(),
-        description.trim(),
-        numericPrice,
-        imageFile,
-        meta.thc,
-        meta.cbd,
-        meta.effects,
-        meta.aroma,
-        meta.terpenes,
-        id
-      ],
-      err2 => {
-        if (err2) {
-          return res.render('admin-product-form', {
-            product: {
-              id,
-              title,
-              description,
-              price,
-              image: imageFile,
-              thc,
-              cbd,
-              effects,
-              aroma,
-              terpenes
-            },
-            errors: [{ msg: 'Fehler beim Aktualisieren der Sorte.' }]
-          });
+      `UPDATE messages SET read_at = CURRENT_TIMESTAMP WHERE thread_id = ? AND ${readCondition} AND read_at IS NULL`,
+      thread.patientId === req.session.user.id ? [thread.id, req.session.user.id] : [thread.id],
+      function () {
+        if (this && this.changes > 0) {
+          pushUnreadCounts(thread.patientId === req.session.user.id ? info => info.userId === req.session.user.id : info => info.isAdmin);
         }
-        res.redirect('/admin/products');
+        renderAdminThread(req, res, thread, []);
       }
     );
   });
 });
 
-// Delete product
-app.post('/admin/products/:id/delete', requireAdmin, (req, res) => {
-  const id = req.params.id;
-  db.run('DELETE FROM products WHERE id = ?', [id], err => {
-    // Ignore errors here and always redirect
-    res.redirect('/admin/products');
+// Admin: answer a patient in a conversation.
+app.post('/admin/messages/:threadId(\\d+)/reply', requireAdmin, (req, res) => {
+  const body = (req.body.body || '').trim();
+  loadThread(req.params.threadId, (err, thread) => {
+    if (err || !thread) {
+      return res.status(404).render('404');
+    }
+    const errors = messageErrors(null, body, false);
+    if (thread.patientId === req.session.user.id) {
+      errors.push({ msg: 'Auf eigene Nachrichten kann nicht geantwortet werden.' });
+    }
+    if (errors.length > 0) {
+      return renderAdminThread(req, res, thread, errors, body);
+    }
+    insertMessage(thread.patientId, req.session.user.id, replySubject(thread.subject), body, thread.id, err2 => {
+      if (err2) {
+        return renderAdminThread(req, res, thread, [{ msg: 'Fehler beim Senden der Nachricht.' }], body);
+      }
+      recordAudit(req, 'message', 'user', thread.patientId);
+      res.redirect(`/admin/messages/${thread.id}`);
+    });
   });
 });
 
 /*
- * Unread message count API
+ * Newsletter campaigns
  *
- * Returns a JSON object with the number of unread messages for the
- * currently logged-in user. This endpoint is used by the client-side
- * polling script to update the unread badge in the navigation bar.
+ * Campaigns are written as drafts, previewed in the admin's own inbox and
+ * scheduled for a point in time; the 'newsletter' job sends them to all
+ * subscribers once that time has passed. Subject and text are templates
+ * (see lib/newsletter-template.js) that are filled in per recipient.
  */
-app.get('/api/unread-count', requireAuth, (req, res) => {
-  const userId = req.session.user.id;
-  db.get(
-    'SELECT COUNT(*) AS count FROM messages WHERE recipient_id = ? AND read_at IS NULL',
-    [userId],
-    (err, row) => {
-      if (err) {
-        return res.json({ count: 0 });
-      }
-      res.json({ count: row ? row.count : 0 });
-    }
-  );
-});
 
-/*
- * Prescription creation routes
- *
- * The GET route renders a form where the user (typically a doctor) can
- * input all necessary data for a private cannabis prescription. The POST
- * route stores the prescription in the database and redirects to a print
- * view with the data positioned on an A6 template.
- */
-app.get('/prescriptions/new', requireAuth, (req, res) => {
-  // Only approved users or admins may create prescriptions
-  if (!req.session.user.approved && !req.session.user.is_admin) {
-    return res.render('awaiting');
-  }
-  res.render('prescription-form', { errors: [] });
-});
+const CAMPAIGN_STATUS_LABELS = {
+  draft: 'Entwurf',
+  scheduled: 'Geplant',
+  sending: 'Wird versendet',
+  sent: 'Versendet',
+  failed: 'Fehlgeschlagen'
+};
 
-app.post('/prescriptions/new', requireAuth, (req, res) => {
-  const {
-    patient_first_name,
-    patient_last_name,
-    patient_address,
-    patient_zip,
-    patient_city,
-    patient_birth,
-    insurance_number,
-    doctor_practice,
-    doctor_number,
-    medication1_amount,
-    medication1_strain,
-    medication2_amount,
-    medication2_strain,
-    medication3_amount,
-    medication3_strain,
-    fee_confirmed
-  } = req.body;
+// Failed runs after which a campaign is no longer scheduled again.
+const CAMPAIGN_MAX_SEND_FAILURES = 3;
 
-  const errors = [];
+const CAMPAIGN_NOTICES = {
+  saved: 'Der Entwurf wurde gespeichert.',
+  preview: 'Die Vorschau wurde an Ihr Postfach gesendet.',
+  scheduled: 'Die Kampagne wurde zum Versand eingeplant.',
+  unscheduled: 'Der Versand wurde abgebrochen, die Kampagne ist wieder ein Entwurf.',
+  retried: 'Der Versand wurde erneut eingeplant.'
+};
 
-  // Pflichtfelder: Name, Nachname, Adresse, Geburtsdatum
-  if (!patient_first_name || !patient_last_name || !patient_address || !patient_birth) {
-    errors.push({ msg: 'Bitte füllen Sie Name, Nachname, Adresse und Geburtsdatum aus.' });
-  }
+// Blocked users keep their subscription but receive no campaigns while
+// they are blocked.
+const NEWSLETTER_RECIPIENTS_WHERE = 'approved = 1 AND newsletter_opt_in = 1 AND COALESCE(blocked, 0) = 0';
+const NEWSLETTER_RECIPIENTS_SQL = `SELECT id, username, email FROM users WHERE ${NEWSLETTER_RECIPIENTS_WHERE}`;
 
-  if (!doctor_number) {
-    errors.push({ msg: 'Bitte geben Sie die Arzt-Nr. ein.' });
-  }
+// Helper: convert the value of a datetime-local field (server time zone)
+// to a UTC timestamp as stored by SQLite, and back. Invalid input gives null.
+function parseLocalDateTime(value) {
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(value || '')) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString().slice(0, 19).replace('T', ' ');
+}
 
-  if (!patient_zip || !patient_city) {
-    errors.push({ msg: 'Bitte geben Sie Postleitzahl und Wohnort ein.' });
-  }
+function formatLocalDateTime(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(String(timestamp).replace(' ', 'T') + 'Z');
+  if (isNaN(date)) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
 
-  if (!fee_confirmed) {
-    errors.push({ msg: 'Bitte bestätigen Sie die Kosten von 10 € für die Erstellung des Privatrezeptes.' });
-  }
+// Helper: record a change of the newsletter consent of a user.
+function recordNewsletterConsent(req, userId, action, source, campaignId) {
+  db.run(
+    'INSERT INTO newsletter_consents (user_id, action, source, campaign_id, ip) VALUES (?, ?, ?, ?, ?)',
+    [userId, action, source, campaignId || null, req ? req.ip : null],
+    err => {
+      if (err) console.error('Fehler beim Protokollieren der Newsletter-Einwilligung:', err.message);
+    }
+  );
+}
 
-  if (errors.length > 0) {
-    return res.render('prescription-form', { errors });
+// Helper: the signed link with which a recipient unsubscribes from the
+// newsletter without logging in. The token is bound to the campaign, so
+// the campaign in the link cannot be changed.
+function unsubscribeUrl(userId, campaignId) {
+  const token = createToken(TOKEN_SECRET, 'newsletter-unsubscribe', userId, `campaign:${campaignId}`, NEWSLETTER_UNSUBSCRIBE_TTL);
+  return `${appUrl()}/newsletter/unsubscribe?campaign=${campaignId}&token=${encodeURIComponent(token)}`;
+}
+
+// Helper: the subject and text of a campaign for one recipient, with the
+// unsubscribe link at the end.
+function renderCampaignMessage(campaign, user, date) {
+  const values = { username: user.username || user.email, email: user.email, date: formatDateGerman(date) };
+  const url = unsubscribeUrl(user.id, campaign.id);
+  const footer = campaign.body_format === 'markdown'
+    ? `*Sie erhalten diesen Newsletter, weil Sie ihn abonniert haben.* [Newsletter abbestellen](${url})`
+    : `--\nSie erhalten diesen Newsletter, weil Sie ihn abonniert haben. Abbestellen: ${url}`;
+  return {
+    subject: renderTemplate(campaign.subject, values),
+    body: `${renderTemplate(campaign.body, values)}\n\n${footer}`
+  };
+}
+
+// Helper: check the fields of the campaign form. Returns a list of errors.
+function campaignErrors(values) {
+  const errors = messageErrors(values.subject, values.body, true);
+  const unknown = unknownPlaceholders(`${values.subject} ${values.body}`);
+  if (unknown.length > 0) {
+    errors.push({ msg: `Unbekannte Platzhalter: ${unknown.map(name => `{{${name}}}`).join(', ')}` });
   }
+  return errors;
+}
 
-  const insurance = 'Privat';
+function campaignFormValues(body) {
+  return {
+    subject: (body.subject || '').trim(),
+    body: (body.body || '').trim(),
+    body_format: body.body_format === 'text' ? 'text' : 'markdown',
+    scheduled_at: body.scheduled_at || ''
+  };
+}
 
-  // Geburtsdatum ins Format tt.mm.jj bringen
-  let formattedBirth = '';
-  if (patient_birth) {
-    const birthDate = new Date(patient_birth);
-    if (!isNaN(birthDate)) {
-      formattedBirth = formatDateGermanShort(birthDate);
-    } else {
-      formattedBirth = patient_birth;
+// Helper: load the campaigns (or the one with `id`) with their statistics.
+// Reads are the recipients who opened the message, unsubscribes those who
+// used the unsubscribe link of the campaign.
+function loadCampaigns(id, callback) {
+  db.all(
+    `SELECT c.*, COALESCE(a.username, a.email) AS author_name,
+       (SELECT COUNT(*) FROM messages m WHERE m.campaign_id = c.id AND m.read_at IS NOT NULL) AS read_count,
+       (SELECT COUNT(DISTINCT n.user_id) FROM newsletter_consents n
+         WHERE n.campaign_id = c.id AND n.action = 'withdrawn') AS unsubscribe_count
+     FROM campaigns c LEFT JOIN users a ON a.id = c.created_by
+     ${id ? 'WHERE c.id = ?' : ''}
+     ORDER BY CASE c.status WHEN 'sent' THEN 1 ELSE 0 END, COALESCE(c.sent_at, c.scheduled_at, c.updated_at) DESC, c.id DESC`,
+    id ? [id] : [],
+    (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(c => ({
+        ...c,
+        statusLabel: CAMPAIGN_STATUS_LABELS[c.status] || c.status,
+        scheduledAtDisplay: formatTimestampGerman(c.scheduled_at),
+        sentAtDisplay: formatTimestampGerman(c.sent_at),
+        updatedAtDisplay: formatTimestampGerman(c.updated_at),
+        readRate: c.recipient_count ? Math.round((c.read_count / c.recipient_count) * 100) : null
+      })));
     }
-  }
+  );
+}
 
-  const issueDate = calculateIssueDate();
+// Send one scheduled campaign. The campaign is claimed by switching it to
+// 'sending', so it is never sent twice. The messages are written one by
+// one without a transaction (the connection is shared with all requests),
+// each only if the recipient does not have it yet, so that a run after a
+// failure completes the campaign without duplicates. Recipients are
+// notified once the campaign is complete.
+function sendCampaign(campaign) {
+  return new Promise((resolve, reject) => {
+    db.run("UPDATE campaigns SET status = 'sending' WHERE id = ? AND status = 'scheduled'", [campaign.id], function (err) {
+      if (err) return reject(err);
+      if (this.changes === 0) return resolve();
+      const fail = failErr => {
+        db.run(
+          `UPDATE campaigns SET send_failures = send_failures + 1, last_error = ?,
+             status = CASE WHEN send_failures + 1 >= ? THEN 'failed' ELSE 'scheduled' END
+           WHERE id = ?`,
+          [String(failErr.message).slice(0, 500), CAMPAIGN_MAX_SEND_FAILURES, campaign.id],
+          () => reject(failErr)
+        );
+      };
+      db.all(NEWSLETTER_RECIPIENTS_SQL, [], (err2, users) => {
+        if (err2) return fail(err2);
+        const now = new Date();
+        const messages = users.map(u => ({ userId: u.id, ...renderCampaignMessage(campaign, u, now) }));
+        let failed = null;
+        const check = stepErr => {
+          if (stepErr && !failed) failed = stepErr;
+        };
+        db.serialize(() => {
+          const stmt = db.prepare(
+            `INSERT INTO messages (recipient_id, sender_id, subject, body, body_format, campaign_id)
+             SELECT ?, ?, ?, ?, ?, ?
+             WHERE NOT EXISTS (SELECT 1 FROM messages WHERE campaign_id = ? AND recipient_id = ?)`
+          );
+          messages.forEach(m => stmt.run(
+            m.userId, campaign.created_by, m.subject, m.body, campaign.body_format, campaign.id, campaign.id, m.userId, check
+          ));
+          stmt.finalize(check);
+          // Every newsletter message starts its own thread.
+          db.run('UPDATE messages SET thread_id = id WHERE campaign_id = ? AND thread_id IS NULL', [campaign.id], check);
+          db.run('SELECT 1', () => {
+            if (failed) return fail(failed);
+            db.run(
+              `UPDATE campaigns SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL,
+                 recipient_count = (SELECT COUNT(*) FROM messages WHERE campaign_id = ?)
+               WHERE id = ?`,
+              [campaign.id, campaign.id],
+              err3 => {
+                if (err3) return fail(err3);
+                db.all('SELECT recipient_id, subject FROM messages WHERE campaign_id = ?', [campaign.id], (err4, sent) => {
+                  (sent || []).forEach(m => notifyNewMessages([m.recipient_id], m.subject, null));
+                  queueMessageDelivery('m.campaign_id = ?', [campaign.id]);
+                  recordAudit(null, 'send', 'campaign', campaign.id, `${sent ? sent.length : messages.length} Empfänger: ${campaign.subject}`, {
+                    id: null,
+                    username: 'System'
+                  });
+                  resolve();
+                });
+              }
+            );
+          });
+        });
+      });
+    });
+  });
+}
 
-  // zusammengesetzter Name/Adresse-Block für das Rezept
-  const zipWithCountry = `D-${(patient_zip || '').trim()}`;
-  const patientBlock = `${(patient_last_name || '').trim()}, ${(patient_first_name || '').trim()}`.trim() +
-    '\n' +
-    (patient_address || '').trim() +
-    '\n' +
-    `${zipWithCountry} ${(patient_city || '').trim()}`.trim();
+// Job: send all campaigns whose time has come, one after the other. A
+// failed campaign does not hold up the others (sendCampaign() records the
+// failure, it is logged here).
+function sendDueCampaigns() {
+  return new Promise((resolve, reject) => {
+    db.all(
+      "SELECT * FROM campaigns WHERE status = 'scheduled' AND scheduled_at <= CURRENT_TIMESTAMP ORDER BY scheduled_at, id",
+      [],
+      (err, campaigns) => {
+        if (err) return reject(err);
+        campaigns
+          .reduce(
+            (previous, campaign) => previous.then(() => sendCampaign(campaign).catch(sendErr => {
+              console.error(`Versand der Kampagne ${campaign.id} fehlgeschlagen:`, sendErr.message);
+            })),
+            Promise.resolve()
+          )
+          .then(resolve);
+      }
+    );
+  });
+}
+
+jobs.register('newsletter', sendDueCampaigns);
+
+// Admin: list of campaigns with their statistics
+app.get('/admin/newsletter', requireAdmin, (req, res) => {
+  loadCampaigns(null, (err, campaigns) => {
+    db.get(`SELECT COUNT(*) AS count FROM users WHERE ${NEWSLETTER_RECIPIENTS_WHERE}`, [], (err2, row) => {
+      res.render('admin-newsletter', {
+        campaigns: campaigns || [],
+        subscriberCount: row ? row.count : 0,
+        error: err || err2 ? 'Fehler beim Laden der Kampagnen.' : null
+      });
+    });
+  });
+});
+
+function renderCampaignForm(res, campaign, values, errors, notice) {
+  res.status(errors.length > 0 ? 400 : 200).render('admin-newsletter-campaign', {
+    campaign,
+    values,
+    errors,
+    notice: notice || null,
+    placeholders: PLACEHOLDERS
+  });
+}
+
+// Helper: carry out the button pressed in the campaign form after the
+// draft has been saved: 'preview' sends it to the admin's own inbox,
+// 'schedule' schedules it (an empty date means right away).
+function applyCampaignAction(req, res, campaign, values) {
+  const action = req.body.action;
+  if (action === 'preview') {
+    const preview = renderCampaignMessage(campaign, req.session.user, new Date());
+    return db.run(
+      'INSERT INTO messages (recipient_id, sender_id, subject, body, body_format) VALUES (?, ?, ?, ?, ?)',
+      [req.session.user.id, req.session.user.id, `[Vorschau] ${preview.subject}`, preview.body, campaign.body_format],
+      function (err) {
+        if (err) {
+          return renderCampaignForm(res, campaign, values, [{ msg: 'Fehler beim Senden der Vorschau.' }]);
+        }
+        const messageId = this.lastID;
+        db.run('UPDATE messages SET thread_id = id WHERE id = ?', [messageId], () => {
+          notifyNewMessages([req.session.user.id], `[Vorschau] ${preview.subject}`, messageId);
+          queueMessageDelivery('m.id = ?', [messageId]);
+          res.redirect(`/admin/newsletter/campaigns/${campaign.id}?done=preview`);
+        });
+      }
+    );
+  }
+  if (action === 'schedule') {
+    const scheduledAt = values.scheduled_at ? parseLocalDateTime(values.scheduled_at) : new Date().toISOString().slice(0, 19).replace('T', ' ');
+    if (!scheduledAt) {
+      return renderCampaignForm(res, campaign, values, [{ msg: 'Bitte geben Sie einen gültigen Versandzeitpunkt ein.' }]);
+    }
+    return db.run(
+      "UPDATE campaigns SET status = 'scheduled', scheduled_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'draft'",
+      [scheduledAt, campaign.id],
+      err => {
+        if (err) {
+          return renderCampaignForm(res, campaign, values, [{ msg: 'Fehler beim Einplanen der Kampagne.' }]);
+        }
+        recordAudit(req, 'schedule', 'campaign', campaign.id, `${formatTimestampGerman(scheduledAt)}: ${campaign.subject}`);
+        jobs.run('newsletter');
+        res.redirect(`/admin/newsletter/campaigns/${campaign.id}?done=scheduled`);
+      }
+    );
+  }
+  res.redirect(`/admin/newsletter/campaigns/${campaign.id}?done=saved`);
+}
 
-  // Text für die drei Verordnungen bauen
-  const medication1 = buildCannabisMedicationLine(medication1_amount, medication1_strain);
-  const medication2 = buildCannabisMedicationLine(medication2_amount, medication2_strain);
-  const medication3 = buildCannabisMedicationLine(medication3_amount, medication3_strain);
+// Admin: write a new campaign
+app.get('/admin/newsletter/campaigns/new', requireAdmin, (req, res) => {
+  renderCampaignForm(res, null, campaignFormValues({ body_format: 'markdown' }), []);
+});
 
+app.post('/admin/newsletter/campaigns', requireAdmin, (req, res) => {
+  const values = campaignFormValues(req.body);
+  const errors = campaignErrors(values);
+  if (errors.length > 0) {
+    return renderCampaignForm(res, null, values, errors);
+  }
   db.run(
-    `INSERT INTO prescriptions (user_id, insurance, patient_name, patient_first_name, patient_last_name, patient_address, patient_zip, patient_city, patient_birth, insurance_number, doctor_practice, doctor_number, date, medication1, medication2, medication3)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [
-      req.session.user.id,
-      insurance,
-      patientBlock,
-      patient_first_name.trim(),
-      patient_last_name.trim(),
-      patient_address.trim(),
-      patient_zip.trim(),
-      patient_city.trim(),
-      formattedBirth,
-      insurance_number ? insurance_number.trim() : null,
-      doctor_practice ? doctor_practice.trim() : null,
-      doctor_number.trim(),
-      issueDate,
-      medication1 || null,
-      medication2 || null,
-      medication3 || null
-    ],
+    'INSERT INTO campaigns (subject, body, body_format, created_by) VALUES (?, ?, ?, ?)',
+    [values.subject, values.body, values.body_format, req.session.user.id],
     function (err) {
       if (err) {
-        console.error('Fehler beim Speichern des Rezepts:', err.message);
-        return res.render('prescription-form', { errors: [{ msg: 'Fehler beim Speichern des Rezepts.' }] });
+        return renderCampaignForm(res, null, values, [{ msg: 'Fehler beim Speichern der Kampagne.' }]);
       }
-      // After saving the prescription, do not show it to the user.
-      // Stattdessen Weiterleitung auf eine Erfolgsseite, damit nur Admins drucken können.
-      res.redirect('/prescriptions/success');
+      recordAudit(req, 'create', 'campaign', this.lastID, values.subject);
+      applyCampaignAction(req, res, { id: this.lastID, ...values, status: 'draft' }, values);
     }
   );
 });
-// Print view for a prescription. Only admins may access this route.
-app.get('/prescriptions/:id/print', requireAdmin, (req, res) => {
-  const id = req.params.id;
-  db.get('SELECT * FROM prescriptions WHERE id = ?', [id], (err, prescription) => {
-    if (err || !prescription) {
+
+// Admin: show a campaign; drafts can be edited
+app.get('/admin/newsletter/campaigns/:id', requireAdmin, (req, res) => {
+  loadCampaigns(req.params.id, (err, campaigns) => {
+    if (err || campaigns.length === 0) {
       return res.status(404).render('404');
     }
-    // Only admin can print prescriptions
-    res.render('prescription-print', { prescription });
+    const campaign = campaigns[0];
+    renderCampaignForm(
+      res,
+      campaign,
+      { ...campaign, scheduled_at: formatLocalDateTime(campaign.scheduled_at) },
+      [],
+      CAMPAIGN_NOTICES[req.query.done]
+    );
   });
 });
 
-// Success page shown to users after creating a prescription.  Users are not shown
-// the actual prescription document here.  They are informed that the
-// prescription has been created and that output is handled by the admin.
-app.get('/prescriptions/success', requireAuth, (req, res) => {
-  res.render('prescription-success');
-});
-
-// Admin route: list all prescriptions for printing.  Displays all records
-// in descending order of creation.  Admins can then click to print each
-// prescription individually.
-app.get('/admin/prescriptions', requireAdmin, (req, res) => {
-  db.all('SELECT * FROM prescriptions ORDER BY created_at DESC', [], (err, rows) => {
-    if (err) {
-      return res.render('admin-prescriptions', { prescriptions: [], error: 'Fehler beim Abrufen der Rezepte.' });
+app.post('/admin/newsletter/campaigns/:id', requireAdmin, (req, res) => {
+  loadCampaigns(req.params.id, (err, campaigns) => {
+    if (err || campaigns.length === 0) {
+      return res.status(404).render('404');
     }
-    res.render('admin-prescriptions', { prescriptions: rows, error: null });
+    const campaign = campaigns[0];
+    const values = campaignFormValues(req.body);
+    if (campaign.status !== 'draft') {
+      return renderCampaignForm(res, campaign, values, [{ msg: 'Nur Entwürfe können bearbeitet werden.' }]);
+    }
+    const errors = campaignErrors(values);
+    if (errors.length > 0) {
+      return renderCampaignForm(res, campaign, values, errors);
+    }
+    db.run(
+      "UPDATE campaigns SET subject = ?, body = ?, body_format = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'draft'",
+      [values.subject, values.body, values.body_format, campaign.id],
+      err2 => {
+        if (err2) {
+          return renderCampaignForm(res, campaign, values, [{ msg: 'Fehler beim Speichern der Kampagne.' }]);
+        }
+        applyCampaignAction(req, res, { ...campaign, ...values }, values);
+      }
+    );
   });
 });
 
-/*
- * Messaging and newsletter routes
- */
-
-// Show inbox for the current user.  Lists all messages addressed to
-// the user sorted by most recent first.
-app.get('/inbox', requireAuth, (req, res) => {
-  const userId = req.session.user.id;
-  db.all(
-    'SELECT id, recipient_id, sender_id, subject, body, created_at, read_at FROM messages WHERE recipient_id = ? ORDER BY created_at DESC',
-    [userId],
-    (err, rows) => {
+// Admin: turn a scheduled campaign back into a draft
+app.post('/admin/newsletter/campaigns/:id/unschedule', requireAdmin, (req, res) => {
+  db.run(
+    "UPDATE campaigns SET status = 'draft', scheduled_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'scheduled'",
+    [req.params.id],
+    function (err) {
       if (err) {
-        return res.render('inbox', { msgs: [], error: 'Fehler beim Laden der Nachrichten.' });
+        return res.status(500).send('Fehler beim Abbrechen des Versands.');
+      }
+      if (this.changes === 0) {
+        return res.redirect(`/admin/newsletter/campaigns/${req.params.id}`);
       }
-      res.render('inbox', { msgs: rows });
+      recordAudit(req, 'unschedule', 'campaign', req.params.id);
+      res.redirect(`/admin/newsletter/campaigns/${req.params.id}?done=unscheduled`);
     }
   );
 });
 
-// Mark a message as read.  Only the recipient may mark a message as read.
-app.post('/messages/:id/read', requireAuth, (req, res) => {
-  const messageId = req.params.id;
-  const userId = req.session.user.id;
-  db.run('UPDATE messages SET read_at = CURRENT_TIMESTAMP WHERE id = ? AND recipient_id = ?', [messageId, userId], () => {
-    res.redirect('/inbox');
-  });
-});
-
-// Admin: newsletter form
-app.get('/admin/newsletter', requireAdmin, (req, res) => {
-  res.render('admin-newsletter', { error: null, info: null, success: null });
+// Admin: schedule a failed campaign again. Recipients who already have
+// the message do not get it twice (see sendCampaign()).
+app.post('/admin/newsletter/campaigns/:id/retry', requireAdmin, (req, res) => {
+  db.run(
+    "UPDATE campaigns SET status = 'scheduled', send_failures = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'failed'",
+    [req.params.id],
+    function (err) {
+      if (err) {
+        return res.status(500).send('Fehler beim Einplanen des Versands.');
+      }
+      if (this.changes === 0) {
+        return res.redirect(`/admin/newsletter/campaigns/${req.params.id}`);
+      }
+      recordAudit(req, 'retry', 'campaign', req.params.id);
+      jobs.run('newsletter');
+      res.redirect(`/admin/newsletter/campaigns/${req.params.id}?done=retried`);
+    }
+  );
 });
 
-// Admin: send newsletter to all approved subscribers
-app.post('/admin/newsletter/send', requireAdmin, (req, res) => {
-  const { subject, body } = req.body;
-  if (!subject || !body) {
-    return res.render('admin-newsletter', { error: 'Betreff und Text sind erforderlich.', info: null, success: null });
-  }
-  db.all('SELECT id FROM users WHERE approved = 1 AND newsletter_opt_in = 1', [], (err, users) => {
+// Admin: delete a draft
+app.post('/admin/newsletter/campaigns/:id/delete', requireAdmin, (req, res) => {
+  db.run("DELETE FROM campaigns WHERE id = ? AND status = 'draft'", [req.params.id], function (err) {
     if (err) {
-      return res.render('admin-newsletter', { error: 'Fehler beim Abrufen der Abonnenten.', info: null, success: null });
-    }
-    if (!users || users.length === 0) {
-      return res.render('admin-newsletter', { error: null, info: 'Keine Abonnenten vorhanden.', success: null });
+      return res.status(500).send('Fehler beim Löschen der Kampagne.');
     }
-    const stmt = db.prepare('INSERT INTO messages (recipient_id, sender_id, subject, body) VALUES (?, ?, ?, ?)');
-    users.forEach(u => {
-      stmt.run(u.id, req.session.user.id, subject, body);
-    });
-    stmt.finalize(() => {
-      res.render('admin-newsletter', { error: null, info: null, success: 'Newsletter wurde versendet.' });
-    });
+    if (this.changes > 0) recordAudit(req, 'delete', 'campaign', req.params.id);
+    res.redirect('/admin/newsletter');
   });
 });
 
 // Admin: export newsletter subscribers as CSV
-app.get('/admin/newsletter/csv', requireAdmin, (req, res) => {
+app.get('/admin/newsletter/csv', requireAdmin, auditRead('export', 'newsletter_subscribers'), (req, res) => {
   db.all('SELECT username, email, phone FROM users WHERE approved = 1 AND newsletter_opt_in = 1', [], (err, rows) => {
     if (err) {
       return res.status(500).send('Fehler beim Exportieren der Abonnenten.');
@@ -1095,8 +5400,68 @@ app.get('/admin/newsletter/csv', requireAdmin, (req, res) => {
   });
 });
 
+// Confirm a newsletter subscription with the link from the confirmation
+// mail (double opt-in).
+app.get('/newsletter/confirm', (req, res) => {
+  userForToken(req.query.token, 'newsletter-confirm', user => user.newsletter_requested_at, user => {
+    if (!user) {
+      return renderNotice(res, 400, 'Link ungültig',
+        'Der Bestätigungslink ist ungültig, abgelaufen oder wurde bereits verwendet. Sie können den Newsletter in Ihren Einstellungen erneut bestellen.');
+    }
+    db.run('UPDATE users SET newsletter_opt_in = 1, newsletter_requested_at = NULL WHERE id = ?', [user.id], err => {
+      if (err) {
+        return renderNotice(res, 500, 'Fehler', 'Die Anmeldung zum Newsletter konnte nicht bestätigt werden.');
+      }
+      recordNewsletterConsent(req, user.id, 'confirmed', 'link');
+      if (req.session.user && req.session.user.id === user.id) req.session.user.newsletter_opt_in = true;
+      renderNotice(res, 200, 'Newsletter bestellt', 'Vielen Dank, Ihre Anmeldung zum Newsletter ist bestätigt.');
+    });
+  });
+});
+
+// Helper: the user of an unsubscribe link (see unsubscribeUrl()).
+function userForUnsubscribeLink(params, callback) {
+  const campaignId = parseInt(params.campaign, 10);
+  if (!campaignId) return callback(null, null);
+  userForToken(params.token, 'newsletter-unsubscribe', () => `campaign:${campaignId}`, user => callback(user, campaignId));
+}
+
+// Unsubscribe with the link from a newsletter, without logging in. The
+// link only shows a confirmation button, so that mail scanners opening
+// the link do not unsubscribe the recipient.
+app.get('/newsletter/unsubscribe', (req, res) => {
+  userForUnsubscribeLink(req.query, (user, campaignId) => {
+    if (!user) {
+      return renderNotice(res, 400, 'Link ungültig', 'Der Abmeldelink ist ungültig oder abgelaufen. Sie können den Newsletter auch in Ihren Einstellungen abbestellen.');
+    }
+    if (!user.newsletter_opt_in) {
+      return renderNotice(res, 200, 'Newsletter abbestellt', 'Sie erhalten keinen Newsletter mehr.');
+    }
+    res.render('newsletter-unsubscribe', { email: user.email, campaign: campaignId, token: req.query.token });
+  });
+});
+
+app.post('/newsletter/unsubscribe', (req, res) => {
+  userForUnsubscribeLink(req.body, (user, campaignId) => {
+    if (!user) {
+      return renderNotice(res, 400, 'Link ungültig', 'Der Abmeldelink ist ungültig oder abgelaufen. Sie können den Newsletter auch in Ihren Einstellungen abbestellen.');
+    }
+    if (!user.newsletter_opt_in) {
+      return renderNotice(res, 200, 'Newsletter abbestellt', 'Sie erhalten keinen Newsletter mehr.');
+    }
+    db.run('UPDATE users SET newsletter_opt_in = 0, newsletter_requested_at = NULL WHERE id = ?', [user.id], err => {
+      if (err) {
+        return renderNotice(res, 500, 'Fehler', 'Der Newsletter konnte nicht abbestellt werden.');
+      }
+      recordNewsletterConsent(req, user.id, 'withdrawn', 'link', campaignId);
+      if (req.session.user && req.session.user.id === user.id) req.session.user.newsletter_opt_in = false;
+      renderNotice(res, 200, 'Newsletter abbestellt', 'Sie erhalten keinen Newsletter mehr. Sie können ihn jederzeit in Ihren Einstellungen wieder bestellen.');
+    });
+  });
+});
+
 // Admin: display form to send a message to a specific user
-app.get('/admin/users/:id/message', requireAdmin, (req, res) => {
+app.get('/admin/users/:id/message', requireAdmin, auditRead('view', 'user'), (req, res) => {
   const targetId = req.params.id;
   db.get('SELECT id, username, email FROM users WHERE id = ?', [targetId], (err, user) => {
     if (err || !user) {
@@ -1119,19 +5484,16 @@ app.post('/admin/users/:id/message', requireAdmin, (req, res) => {
     });
     return;
   }
-  db.run(
-    'INSERT INTO messages (recipient_id, sender_id, subject, body) VALUES (?, ?, ?, ?)',
-    [targetId, req.session.user.id, subject, body],
-    err => {
-      if (err) {
-        db.get('SELECT id, username, email FROM users WHERE id = ?', [targetId], (err2, user) => {
-          return res.render('admin-message-user', { user, error: 'Fehler beim Senden der Nachricht.' });
-        });
-      } else {
-        res.redirect('/admin');
-      }
+  insertMessage(targetId, req.session.user.id, subject, body, null, (err, messageId) => {
+    if (err) {
+      db.get('SELECT id, username, email FROM users WHERE id = ?', [targetId], (err2, user) => {
+        return res.render('admin-message-user', { user, error: 'Fehler beim Senden der Nachricht.' });
+      });
+    } else {
+      recordAudit(req, 'message', 'user', targetId);
+      res.redirect(`/admin/messages/${messageId}`);
     }
-  );
+  });
 });
 
 // Fallback 404
@@ -1151,7 +5513,78 @@ app.use((req, res) => {
   res.status(404).render('404');
 });
 
-// Start the Express server
-app.listen(PORT, () => {
-  console.log(`Express server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+// Start the Express server once the admin accounts have been checked. In
+// production the server refuses to start while the default session secret
+// or the default admin credentials are still in use.
+function startServer() {
+  const problems = [];
+  if (INSECURE_SESSION_SECRETS.includes(SESSION_SECRET)) {
+    problems.push('SESSION_SECRET ist nicht gesetzt oder verwendet einen unsicheren Standardwert.');
+  }
+  if (!process.env.APP_URL) {
+    problems.push(`APP_URL ist nicht gesetzt, Links in E-Mails und SMS zeigen auf http://localhost:${PORT}.`);
+  }
+  // The console and file transports write reset links and message texts
+  // to the log or to disk; they are meant for development only.
+  if (mailer.transport !== 'smtp') {
+    problems.push(`MAIL_TRANSPORT ist „${mailer.transport}“, E-Mails mit Links und Nachrichten werden nicht versendet, sondern protokolliert bzw. als Datei abgelegt.`);
+  }
+  if (!PATIENT_FIELD_CIPHER.enabled) {
+    problems.push('PATIENT_DATA_KEY ist nicht gesetzt, Patientendaten in Rezepten, Privatrezepten und Profilen werden unverschlüsselt gespeichert.');
+  }
+  Promise.all([userSchemaReady, prescriptionSchemaReady, productSchemaReady]).then(() => checkAdminAccounts(async (err, defaultCredentials) => {
+    if (err) {
+      console.error('Fehler beim Prüfen der Admin-Konten:', err.message);
+      process.exit(1);
+    }
+    if (defaultCredentials) {
+      problems.push(`Das Admin-Konto „${LEGACY_ADMIN_LOGIN}“ verwendet noch das Standardpasswort.`);
+    }
+    try {
+      const result = await encryptPatientFields(db, PATIENT_FIELD_CIPHER);
+      if (result.updated > 0) {
+        console.log(`Patientendaten von ${result.updated} Datensätzen mit dem aktuellen Schlüssel verschlüsselt.`);
+      }
+      if (result.failed > 0) {
+        problems.push(`Patientendaten von ${result.failed} Datensätzen können nicht entschlüsselt werden. Fehlt ein alter Schlüssel in PATIENT_DATA_PREVIOUS_KEYS?`);
+      }
+    } catch (err2) {
+      console.error('Fehler beim Verschlüsseln der Patientendaten:', err2.message);
+      process.exit(1);
+    }
+    try {
+      const result = await normalizeProductMetadata(db);
+      if (result.ranges > 0 || result.tagged > 0) {
+        console.log(`Sortendaten übernommen: THC/CBD von ${result.ranges}, Tags von ${result.tagged} Sorten.`);
+      }
+    } catch (err2) {
+      console.error('Fehler beim Übernehmen der Sortendaten:', err2.message);
+      process.exit(1);
+    }
+    if (IS_PRODUCTION && problems.length > 0) {
+      problems.forEach(problem => console.error(problem));
+      console.error('Start im Produktionsmodus abgebrochen.');
+      process.exit(1);
+    }
+    problems.forEach(problem => console.warn(`Warnung: ${problem}`));
+    // Not a reason to refuse the start: a practice without an SMS gateway
+    // can still run, the SMS chosen in /settings are only logged or written
+    // to SMS_DIR.
+    if (smsSender.transport !== 'http') {
+      console.warn(`Warnung: SMS_TRANSPORT ist „${smsSender.transport}“, SMS werden nicht versendet, sondern protokolliert bzw. als Datei abgelegt.`);
+    }
+    if (setupRequired) {
+      setupCode = process.env.SETUP_CODE || crypto.randomBytes(6).toString('hex');
+      console.log(`Kein Admin-Konto vorhanden. Ersteinrichtung unter http://localhost:${PORT}/setup mit dem Einrichtungscode ${setupCode}`);
+      console.log('Alternativ: node scripts/create-admin.js <Benutzername> <E-Mail>');
+    }
+    app.listen(PORT, () => {
+      console.log(`Express server listening on http://localhost:${PORT}`);
+      jobs.start();
+      jobs.run('newsletter');
+      jobs.run('outbox');
+    });
+  }));
+}
+
+startServer();
\ No newline at end of file
@@ -0,0 +1,83 @@
+// test/db-transaction.test.js
+//
+// Transactions on their own connection (lib/db-transaction.js) next to a
+// shared connection as used by the server, against a temporary database
+// file.
+//
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createTransactionRunner } = require('../lib/db-transaction');
+
+function call(db, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function (err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? this : result);
+    });
+  });
+}
+
+async function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transaction-test-'));
+  const dbPath = path.join(dir, 'data.db');
+  const db = new sqlite3.Database(dbPath);
+  db.configure('busyTimeout', 5000);
+  t.after(() => new Promise(resolve => db.close(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    resolve();
+  })));
+  await call(db, 'run', 'CREATE TABLE notes (id INTEGER PRIMARY KEY AUTOINCREMENT, text TEXT NOT NULL)');
+  const { runInTransaction } = createTransactionRunner({ path: dbPath });
+  const texts = () => call(db, 'all', 'SELECT text FROM notes ORDER BY id').then(rows => rows.map(r => r.text));
+  return { db, runInTransaction, texts };
+}
+
+test('commits the work and returns its result', async t => {
+  const { runInTransaction, texts } = await setup(t);
+
+  const id = await runInTransaction(async tx => {
+    const result = await tx.run('INSERT INTO notes (text) VALUES (?)', ['eins']);
+    await tx.run('INSERT INTO notes (text) VALUES (?)', ['zwei']);
+    return result.lastID;
+  });
+
+  assert.strictEqual(id, 1);
+  assert.deepStrictEqual(await texts(), ['eins', 'zwei']);
+});
+
+test('rolls back all steps when one fails', async t => {
+  const { runInTransaction, texts } = await setup(t);
+
+  await assert.rejects(
+    runInTransaction(async tx => {
+      await tx.run('INSERT INTO notes (text) VALUES (?)', ['eins']);
+      await tx.run('INSERT INTO notes (text) VALUES (?)', [null]);
+    }),
+    /NOT NULL/
+  );
+
+  assert.deepStrictEqual(await texts(), []);
+});
+
+test('keeps writes of the shared connection made during a rolled back transaction', async t => {
+  const { db, runInTransaction, texts } = await setup(t);
+  let write = null;
+
+  await assert.rejects(runInTransaction(async tx => {
+    await tx.run('INSERT INTO notes (text) VALUES (?)', ['verworfen']);
+    // The shared connection waits for the write lock instead of joining
+    // the transaction.
+    write = call(db, 'run', 'INSERT INTO notes (text) VALUES (?)', ['geteilt']);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    throw new Error('Abbruch');
+  }), /Abbruch/);
+
+  await write;
+  assert.deepStrictEqual(await texts(), ['geteilt']);
+});
@@ -0,0 +1,160 @@
+// test/outbox.test.js
+//
+// Delivery of the outbox (lib/outbox.js) with the file transports of the
+// mailer and the SMS sender against an in-memory database. A transport
+// fails when its directory cannot be created, here below a regular file.
+//
+//   npm test
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createMailer } = require('../lib/mailer');
+const { createSmsSender } = require('../lib/sms');
+const { createOutboxDelivery } = require('../lib/outbox');
+
+const OUTBOX_TABLE = `CREATE TABLE outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message_id INTEGER,
+  user_id INTEGER,
+  channel TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  subject TEXT,
+  body TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME
+)`;
+
+function call(db, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function (err, result) {
+      if (err) reject(err);
+      else resolve(method === 'run' ? this : result);
+    });
+  });
+}
+
+// A database with the outbox table and a delivery whose transports write
+// into a temporary directory. With `broken` both transports fail.
+async function setup(t, { broken = false } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  let base = dir;
+  if (broken) {
+    base = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(base, '');
+  }
+  const db = new sqlite3.Database(':memory:');
+  t.after(() => db.close());
+  await call(db, 'run', OUTBOX_TABLE);
+  const mailDir = path.join(base, 'mail');
+  const smsDir = path.join(base, 'sms');
+  const delivery = createOutboxDelivery({
+    db,
+    mailer: createMailer({ MAIL_TRANSPORT: 'file', MAIL_DIR: mailDir }),
+    smsSender: createSmsSender({ SMS_TRANSPORT: 'file', SMS_DIR: smsDir }),
+    maxAttempts: 3,
+    retryBaseSeconds: 60,
+    batchSize: 2
+  });
+  const insert = (fields = {}) => call(
+    db,
+    'run',
+    `INSERT INTO outbox (channel, recipient, subject, body, attempts, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [fields.channel || 'email', fields.recipient || 'pat@example.org', 'Neue Nachricht', fields.body || 'Hallo',
+      fields.attempts || 0, fields.next_attempt_at || null]
+  ).then(result => result.lastID);
+  const entry = id => call(
+    db,
+    'get',
+    `SELECT *, CAST(ROUND((julianday(next_attempt_at) - julianday('now')) * 86400) AS INTEGER) AS delay
+     FROM outbox WHERE id = ?`,
+    [id]
+  );
+  return { db, delivery, insert, entry, mailDir, smsDir };
+}
+
+function filesIn(dir) {
+  return fs.existsSync(dir) ? fs.readdirSync(dir).map(file => fs.readFileSync(path.join(dir, file), 'utf8')) : [];
+}
+
+test('sends e-mails and text messages and marks them as sent', async t => {
+  const { delivery, insert, entry, mailDir, smsDir } = await setup(t);
+  const mailId = await insert({ body: 'Ihr Rezept ist fertig.' });
+  const smsId = await insert({ channel: 'sms', recipient: '+491701234567', body: 'Neue Nachricht' });
+
+  await delivery.deliverDue();
+
+  for (const id of [mailId, smsId]) {
+    const row = await entry(id);
+    assert.strictEqual(row.status, 'sent');
+    assert.strictEqual(row.attempts, 1);
+    assert.strictEqual(row.last_error, null);
+    assert.ok(row.sent_at);
+  }
+  const mails = filesIn(mailDir);
+  assert.strictEqual(mails.length, 1);
+  assert.match(mails[0], /To: pat@example\.org/);
+  assert.match(mails[0], /Ihr Rezept ist fertig\./);
+  const sms = filesIn(smsDir);
+  assert.strictEqual(sms.length, 1);
+  assert.match(sms[0], /To: \+491701234567/);
+});
+
+test('retries a failed delivery with exponential backoff', async t => {
+  const { delivery, insert, entry } = await setup(t, { broken: true });
+  const id = await insert();
+
+  await delivery.deliverEntry(await entry(id));
+  let row = await entry(id);
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.attempts, 1);
+  assert.ok(row.last_error);
+  assert.ok(Math.abs(row.delay - 60) <= 2, `next attempt in ${row.delay} s`);
+
+  await delivery.deliverEntry(row);
+  row = await entry(id);
+  assert.strictEqual(row.status, 'pending');
+  assert.strictEqual(row.attempts, 2);
+  assert.ok(Math.abs(row.delay - 120) <= 2, `next attempt in ${row.delay} s`);
+
+  // Not due yet: the job leaves it alone.
+  await delivery.deliverDue();
+  assert.strictEqual((await entry(id)).attempts, 2);
+});
+
+test('marks a delivery as failed after the last attempt', async t => {
+  const { delivery, insert, entry } = await setup(t, { broken: true });
+  const id = await insert({ channel: 'sms', attempts: 2 });
+
+  await delivery.deliverDue();
+
+  const row = await entry(id);
+  assert.strictEqual(row.status, 'failed');
+  assert.strictEqual(row.attempts, 3);
+  assert.ok(row.last_error);
+
+  await delivery.deliverDue();
+  assert.strictEqual((await entry(id)).attempts, 3);
+});
+
+test('sends all due entries in batches and skips those not yet due', async t => {
+  const { delivery, insert, entry } = await setup(t);
+  const due = [await insert(), await insert(), await insert()];
+  const later = await insert({ next_attempt_at: '2999-01-01 00:00:00' });
+
+  await delivery.deliverDue();
+
+  for (const id of due) {
+    assert.strictEqual((await entry(id)).status, 'sent');
+  }
+  assert.strictEqual((await entry(later)).status, 'pending');
+});